@@ -0,0 +1,95 @@
+// =============================================
+// VaxTracker Service Worker
+// =============================================
+// Shows reminder push notifications sent by the send-reminders Edge
+// Function and opens the reminder in the app when one is clicked. Also
+// keeps a copy of the app itself so it opens offline; the data it shows
+// offline comes from IndexedDB (see src/offline-store.js).
+
+// Bump to drop files cached by an older version
+const CACHE_NAME = "vaxtracker-v1";
+const APP_SHELL = ["/", "/index.html", "/manifest.webmanifest", "/icon.svg"];
+
+// Fonts, icons and the Supabase client load from these
+const CDN_HOSTS = [
+  "fonts.googleapis.com",
+  "fonts.gstatic.com",
+  "cdnjs.cloudflare.com",
+  "cdn.jsdelivr.net",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// Network first so updates show up straight away; the cache is only for
+// when there's no connection. Supabase API calls are left alone.
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+  const cacheable = request.method === "GET" &&
+    (url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname));
+  if (!cacheable) return;
+
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+      const response = await fetch(request);
+      if (response.ok || response.type === "opaque") {
+        await cache.put(request, response.clone());
+      }
+      return response;
+    } catch (error) {
+      const cached = await cache.match(request) ||
+        (request.mode === "navigate" ? await cache.match("/") : undefined);
+      if (cached) return cached;
+      throw error;
+    }
+  })());
+});
+
+self.addEventListener("push", (event) => {
+  const data = event.data ? event.data.json() : {};
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || "Vaccination reminder", {
+      body: data.body || "",
+      // One notification per reminder; each stage replaces the last
+      tag: data.reminderId ? `reminder-${data.reminderId}` : undefined,
+      renotify: true,
+      data,
+    })
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  const data = event.notification.data || {};
+  event.notification.close();
+
+  event.waitUntil((async () => {
+    const url = new URL(data.url || "/", self.location.origin);
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const open = windows.find(client => new URL(client.url).origin === url.origin);
+
+    // Reuse an open tab instead of starting another session
+    if (open) {
+      await open.focus();
+      open.postMessage({ type: "open-reminder", reminderId: data.reminderId, userId: data.userId });
+      return;
+    }
+
+    await self.clients.openWindow(url.href);
+  })());
+});
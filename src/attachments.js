@@ -0,0 +1,265 @@
+import { supabase } from "./supabase-client.js";
+import { showToast } from "./utils.js";
+
+export const ATTACHMENTS_BUCKET = "record-attachments";
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // Matches the bucket's file_size_limit
+const ALLOWED_TYPES = ["image/jpeg", "image/png", "image/webp", "image/heic", "application/pdf"];
+const SIGNED_URL_TTL = 60 * 60; // seconds
+
+class AttachmentManager {
+  constructor() {
+    this.signedUrls = {}; // storage_path -> signed URL
+    this.extraRecords = [];
+  }
+
+  // ===========================
+  // VALIDATION
+  // ===========================
+  // Returns an error message for the first unacceptable file, or null
+  validateFiles(files) {
+    for (const file of files) {
+      if (!ALLOWED_TYPES.includes(file.type)) {
+        return `${file.name} is not an image or PDF`;
+      }
+      if (file.size > MAX_FILE_SIZE) {
+        return `${file.name} is larger than 10 MB`;
+      }
+    }
+    return null;
+  }
+
+  // ===========================
+  // UPLOAD & DELETE
+  // ===========================
+  async uploadFiles(record, files) {
+    if (!record || !files?.length) return;
+
+    const uploaderId = window.dashboard?.getCurrentUser()?.id || null;
+    let failed = 0;
+
+    for (const file of files) {
+      const safeName = file.name.replace(/[^\w.-]+/g, "_");
+      const path = `${record.user_id}/${record.id}/${crypto.randomUUID()}-${safeName}`;
+
+      try {
+        const { error: uploadError } = await supabase.storage
+          .from(ATTACHMENTS_BUCKET)
+          .upload(path, file, { contentType: file.type });
+
+        if (uploadError) throw uploadError;
+
+        const { error: insertError } = await supabase
+          .from("record_attachments")
+          .insert([{
+            record_id: record.id,
+            user_id: record.user_id,
+            storage_path: path,
+            file_name: file.name,
+            content_type: file.type,
+            size_bytes: file.size,
+            uploaded_by: uploaderId,
+          }]);
+
+        if (insertError) {
+          // Don't leave an orphaned file behind
+          await supabase.storage.from(ATTACHMENTS_BUCKET).remove([path]);
+          throw insertError;
+        }
+      } catch (error) {
+        console.error(`Error uploading ${file.name}:`, error);
+        failed++;
+      }
+    }
+
+    if (failed) {
+      showToast(`${failed} attachment${failed > 1 ? "s" : ""} could not be uploaded`, "error");
+    }
+  }
+
+  async deleteAttachment(attachmentId) {
+    if (!window.dashboard?.checkAdminPermission("remove attachments")) return;
+
+    const attachment = this.findAttachment(attachmentId);
+    if (!attachment) {
+      showToast("Attachment not found", "error");
+      return;
+    }
+
+    if (!window.confirm(`Remove ${attachment.file_name}?`)) return;
+
+    try {
+      const { error: storageError } = await supabase.storage
+        .from(ATTACHMENTS_BUCKET)
+        .remove([attachment.storage_path]);
+
+      if (storageError) throw storageError;
+
+      const { error } = await supabase
+        .from("record_attachments")
+        .delete()
+        .eq("id", attachmentId);
+
+      if (error) throw error;
+
+      showToast("Attachment removed", "success");
+      await window.dashboard.refreshDashboard();
+
+      const record = window.dashboard.records.find(r => r.id === attachment.record_id);
+      if (record) this.renderEditList(record);
+    } catch (error) {
+      console.error("Error removing attachment:", error);
+      showToast("Error removing attachment", "error");
+    }
+  }
+
+  // Storage objects are not removed by the table cascade, so clear them
+  // before a record is purged.
+  async removeForRecord(record) {
+    const paths = (record?.record_attachments || []).map(a => a.storage_path);
+    if (paths.length === 0) return;
+
+    const { error } = await supabase.storage.from(ATTACHMENTS_BUCKET).remove(paths);
+    if (error) console.error("Error removing record attachments:", error);
+  }
+
+  // ===========================
+  // SIGNED URLS
+  // ===========================
+  async loadSignedUrls(records) {
+    const paths = records
+      .flatMap(r => r.record_attachments || [])
+      .map(a => a.storage_path)
+      .filter(path => !this.signedUrls[path]);
+
+    if (paths.length === 0) return;
+
+    try {
+      const { data, error } = await supabase.storage
+        .from(ATTACHMENTS_BUCKET)
+        .createSignedUrls(paths, SIGNED_URL_TTL);
+
+      if (error) throw error;
+
+      (data || []).forEach(item => {
+        if (item.signedUrl) this.signedUrls[item.path] = item.signedUrl;
+      });
+    } catch (error) {
+      console.error("Error creating attachment URLs:", error);
+    }
+  }
+
+  findAttachment(attachmentId) {
+    const dashboard = window.dashboard;
+    const records = [...(dashboard?.records || []), ...(this.extraRecords || [])];
+    return records
+      .flatMap(r => r.record_attachments || [])
+      .find(a => a.id === attachmentId) || null;
+  }
+
+  // Records loaded outside the dashboard (e.g. a patient's history) whose
+  // attachments can be opened from the viewer
+  trackRecords(records) {
+    this.extraRecords = records;
+  }
+
+  // ===========================
+  // RENDERING
+  // ===========================
+  renderThumbnails(record) {
+    const attachments = record.record_attachments || [];
+    if (attachments.length === 0) return "";
+
+    return `
+      <div class="attachment-thumbnails">
+        ${attachments.map(a => this.renderThumbnail(a)).join("")}
+      </div>
+    `;
+  }
+
+  renderThumbnail(attachment) {
+    const url = this.signedUrls[attachment.storage_path];
+    const isImage = attachment.content_type.startsWith("image/");
+
+    return `
+      <button
+        class="attachment-thumbnail"
+        type="button"
+        onclick="window.attachments.openViewer('${attachment.id}')"
+        title="${attachment.file_name}"
+        aria-label="View ${attachment.file_name}"
+      >
+        ${isImage && url
+          ? `<img src="${url}" alt="${attachment.file_name}" loading="lazy" />`
+          : `<i class="fas ${isImage ? "fa-file-image" : "fa-file-pdf"}"></i>`}
+      </button>
+    `;
+  }
+
+  renderEditList(record) {
+    const container = document.getElementById("edit-attachments-list");
+    if (!container) return;
+
+    const attachments = record.record_attachments || [];
+    container.innerHTML = attachments
+      .map(a => `
+        <div class="attachment-row">
+          <button
+            class="attachment-link"
+            type="button"
+            onclick="window.attachments.openViewer('${a.id}')"
+          >
+            <i class="fas ${a.content_type.startsWith("image/") ? "fa-file-image" : "fa-file-pdf"}"></i>
+            ${a.file_name}
+          </button>
+          <button
+            class="btn-icon btn-danger"
+            type="button"
+            onclick="window.attachments.deleteAttachment('${a.id}')"
+            title="Remove Attachment"
+            aria-label="Remove attachment"
+          >
+            <i class="fas fa-trash"></i>
+          </button>
+        </div>
+      `)
+      .join("");
+  }
+
+  // ===========================
+  // VIEWER
+  // ===========================
+  async openViewer(attachmentId) {
+    const attachment = this.findAttachment(attachmentId);
+    if (!attachment) {
+      showToast("Attachment not found", "error");
+      return;
+    }
+
+    if (!this.signedUrls[attachment.storage_path]) {
+      await this.loadSignedUrls([{ record_attachments: [attachment] }]);
+    }
+
+    const url = this.signedUrls[attachment.storage_path];
+    const title = document.getElementById("attachment-viewer-title");
+    const body = document.getElementById("attachment-viewer-content");
+    if (!url || !body) {
+      showToast("Error opening attachment", "error");
+      return;
+    }
+
+    if (title) title.textContent = attachment.file_name;
+    body.innerHTML = `
+      ${attachment.content_type.startsWith("image/")
+        ? `<img class="attachment-preview" src="${url}" alt="${attachment.file_name}" />`
+        : `<iframe class="attachment-preview" src="${url}" title="${attachment.file_name}"></iframe>`}
+      <a class="btn btn-secondary" href="${url}" target="_blank" rel="noopener" download="${attachment.file_name}">
+        <i class="fas fa-download"></i> Download
+      </a>
+    `;
+
+    window.modals?.openModal("attachment-viewer-modal");
+  }
+}
+
+export default AttachmentManager;
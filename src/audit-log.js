@@ -0,0 +1,167 @@
+import { supabase } from "./supabase-client.js";
+import { showToast, formatDate } from "./utils.js";
+import { getRouteLabel, getSiteLabel } from "./clinical.js";
+
+// Fields shown in the change history, in display order. Anything else
+// (ids, timestamps) is bookkeeping and left out of the diff.
+const FIELD_LABELS = {
+  user_id: "Patient",
+  vaccine_name: "Vaccine",
+  dose_number: "Dose",
+  date_given: "Date Given",
+  next_due: "Next Due",
+  series_complete: "Series Complete",
+  next_due_override_reason: "Schedule Override Reason",
+  lot_number: "Lot Number",
+  manufacturer: "Manufacturer",
+  expiration_date: "Expiration Date",
+  route: "Route",
+  site: "Site",
+  provider: "Provider",
+  location: "Location",
+  due_date: "Reminder Due",
+  sent: "Reminder Sent",
+  snoozed_until: "Snoozed Until",
+  dismissed_at: "Dismissed",
+  completed_at: "Dose Recorded",
+  deleted_at: "Deleted",
+};
+
+const DATE_FIELDS = ["date_given", "next_due", "expiration_date", "due_date", "snoozed_until", "dismissed_at", "completed_at", "deleted_at"];
+
+const ACTION_LABELS = {
+  insert: "Created",
+  update: "Updated",
+  delete: "Deleted",
+};
+
+const TABLE_LABELS = {
+  vaccination_records: "Record",
+  reminders: "Reminder",
+};
+
+class AuditLog {
+  // ===========================
+  // HISTORY PANEL
+  // ===========================
+  async open(recordId) {
+    const dashboard = window.dashboard;
+    if (!dashboard?.checkAdminPermission("view change history")) return;
+
+    const record = dashboard.records.find(r => r.id === recordId);
+    const title = document.getElementById("audit-log-title");
+    if (title) {
+      title.textContent = record ? `Change History: ${record.vaccine_name}` : "Change History";
+    }
+
+    const container = document.getElementById("audit-log-content");
+    if (!container) return;
+
+    container.innerHTML = `
+      <div class="loading">
+        <i class="fas fa-spinner fa-spin"></i>
+        Loading history...
+      </div>
+    `;
+    window.modals?.openModal("audit-log-modal");
+
+    try {
+      const { data, error } = await supabase
+        .from("audit_log")
+        .select("*")
+        .eq("record_id", recordId)
+        .order("changed_at", { ascending: false })
+        .order("id", { ascending: false });
+
+      if (error) throw error;
+
+      container.innerHTML = this.renderEntries(data || []);
+    } catch (error) {
+      console.error("Error loading change history:", error);
+      container.innerHTML = `<p class="patient-history-empty">Could not load change history.</p>`;
+      showToast("Error loading change history", "error");
+    }
+  }
+
+  renderEntries(entries) {
+    if (entries.length === 0) {
+      return `<p class="patient-history-empty">No changes have been recorded for this record.</p>`;
+    }
+
+    return `
+      <div class="audit-log-list">
+        ${entries.map(entry => this.renderEntry(entry)).join("")}
+      </div>
+    `;
+  }
+
+  renderEntry(entry) {
+    const changes = this.diff(entry.old_values, entry.new_values);
+    const actor = entry.actor_id
+      ? window.dashboard.getPatientLabel(entry.actor_id) || "Unknown user"
+      : "System";
+
+    return `
+      <div class="audit-entry audit-${entry.action}">
+        <div class="audit-entry-header">
+          <span class="audit-action">
+            ${TABLE_LABELS[entry.table_name] || entry.table_name} ${ACTION_LABELS[entry.action].toLowerCase()}
+          </span>
+          <span class="audit-meta">
+            ${actor} · ${new Date(entry.changed_at).toLocaleString("en-US")}
+          </span>
+        </div>
+        ${changes.length > 0 ? `
+          <table class="audit-diff">
+            <tbody>
+              ${changes.map(change => `
+                <tr>
+                  <th scope="row">${change.label}</th>
+                  <td class="audit-old">${entry.action === "insert" ? "" : this.formatValue(change.field, change.before)}</td>
+                  <td class="audit-new">${entry.action === "delete" ? "" : this.formatValue(change.field, change.after)}</td>
+                </tr>
+              `).join("")}
+            </tbody>
+          </table>
+        ` : ""}
+      </div>
+    `;
+  }
+
+  // ===========================
+  // DIFF
+  // ===========================
+  // Fields whose value differs between the before and after snapshots. An
+  // insert or delete lists every field that has a value.
+  diff(before, after) {
+    const oldValues = before || {};
+    const newValues = after || {};
+
+    return Object.entries(FIELD_LABELS)
+      .filter(([field]) => field in oldValues || field in newValues)
+      .filter(([field]) => {
+        const oldValue = oldValues[field] ?? null;
+        const newValue = newValues[field] ?? null;
+        if (!before || !after) return (oldValue ?? newValue) !== null;
+        return JSON.stringify(oldValue) !== JSON.stringify(newValue);
+      })
+      .map(([field, label]) => ({
+        field,
+        label,
+        before: oldValues[field] ?? null,
+        after: newValues[field] ?? null,
+      }));
+  }
+
+  formatValue(field, value) {
+    if (value === null || value === "") return `<span class="audit-empty">—</span>`;
+    if (typeof value === "boolean") return value ? "Yes" : "No";
+    if (DATE_FIELDS.includes(field)) return formatDate(value);
+    if (field === "route") return getRouteLabel(value);
+    if (field === "site") return getSiteLabel(value);
+    if (field === "user_id") return window.dashboard.getPatientLabel(value) || value;
+    return value;
+  }
+}
+
+export default AuditLog;
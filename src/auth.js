@@ -1,5 +1,6 @@
 import { supabase } from "./supabase-client.js";
 import { showToast } from "./utils.js";
+import { cachedQuery, clearCache } from "./offline-store.js";
 
 class AuthManager {
   constructor() {
@@ -172,11 +173,11 @@ class AuthManager {
     this.currentUser = user;
 
     // Fetch profile
-    const { data: profile, error } = await supabase
+    const { data: profile, error } = await cachedQuery(`${user.id}:auth-profile`, () => supabase
       .from("profiles")
       .select("full_name, role")
       .eq("id", user.id)
-      .single();
+      .single());
 
     if (error) console.error("Error fetching profile:", error);
 
@@ -206,6 +207,9 @@ class AuthManager {
   handleSignOut() {
     this.currentUser = null;
 
+    // Don't leave one user's records on a shared device
+    clearCache().catch(error => console.error("Error clearing offline cache:", error));
+
     const authContainer = document.getElementById("auth-container");
     const appContainer = document.getElementById("app-container");
     if (authContainer) authContainer.style.display = "flex";
@@ -216,7 +220,15 @@ class AuthManager {
   }
 
   async logout() {
+    const pending = window.sync?.getChanges().length || 0;
+    if (pending > 0 && !window.confirm(
+      `${pending} change${pending === 1 ? " hasn't" : "s haven't"} synced yet and will be lost if you log out. Log out anyway?`
+    )) {
+      return;
+    }
+
     try {
+      await window.sync?.clear();
       const { error } = await supabase.auth.signOut();
       if (error) throw error;
       showToast("Logged out successfully", "info");
@@ -0,0 +1,165 @@
+import { supabase, functionsUrl } from "./supabase-client.js";
+import { showToast, downloadFile } from "./utils.js";
+import { reminderToEvent, buildCalendar } from "../supabase/functions/_shared/ics.js";
+
+class CalendarExport {
+  constructor() {
+    this.feedUrl = null;
+    this.init();
+  }
+
+  init() {
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document
+      .getElementById("calendar-export-btn")
+      ?.addEventListener("click", () => this.exportAll());
+
+    document
+      .getElementById("calendar-subscribe-btn")
+      ?.addEventListener("click", () => this.openSubscription());
+
+    document
+      .getElementById("calendar-feed-copy-btn")
+      ?.addEventListener("click", () => this.copyFeedUrl());
+
+    document
+      .getElementById("calendar-feed-reset-btn")
+      ?.addEventListener("click", () => this.resetFeed());
+  }
+
+  // ===========================
+  // DOWNLOADS
+  // ===========================
+  // Admins see everyone's reminders, and account holders their dependents',
+  // so those events say whose dose is due
+  getPersonName(reminder) {
+    const dashboard = window.dashboard;
+    if (!dashboard?.isAdmin() && reminder.user_id === dashboard?.currentUser?.id) return "";
+
+    return reminder.profiles?.full_name ||
+      reminder.profiles?.email ||
+      dashboard?.people.find(p => p.id === reminder.user_id)?.full_name ||
+      "";
+  }
+
+  downloadReminder(reminderId) {
+    const reminder = window.dashboard?.reminders.find(r => r.id === reminderId);
+    if (!reminder) {
+      showToast("Reminder not found", "error");
+      return;
+    }
+
+    const event = reminderToEvent(reminder, this.getPersonName(reminder));
+    const fileName = event.summary.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/-$/, "");
+    downloadFile(`${fileName}.ics`, buildCalendar([event]), "text/calendar");
+  }
+
+  exportAll() {
+    const reminders = window.dashboard?.reminders || [];
+    if (reminders.length === 0) {
+      showToast("There are no pending reminders to export", "error");
+      return;
+    }
+
+    const events = reminders.map(r => reminderToEvent(r, this.getPersonName(r)));
+    downloadFile("vaccination-reminders.ics", buildCalendar(events), "text/calendar");
+    showToast(`Exported ${events.length} reminder${events.length === 1 ? "" : "s"}`, "success");
+  }
+
+  // ===========================
+  // SUBSCRIPTION FEED
+  // ===========================
+  // Each account has one private token; the feed covers the account holder
+  // and their dependents
+  async openSubscription() {
+    const urlInput = document.getElementById("calendar-feed-url");
+    if (urlInput) urlInput.value = "Loading...";
+    window.modals?.openModal("calendar-feed-modal");
+
+    try {
+      const token = await this.getFeedToken();
+      this.renderFeedUrl(token);
+    } catch (error) {
+      console.error("Error loading calendar feed:", error);
+      if (urlInput) urlInput.value = "";
+      showToast("Error loading the calendar subscription link", "error");
+    }
+  }
+
+  async getFeedToken() {
+    const userId = window.dashboard?.currentUser?.id;
+
+    const { data: feed, error } = await supabase
+      .from("calendar_feeds")
+      .select("token")
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (feed) return feed.token;
+
+    return await this.createFeed(userId);
+  }
+
+  async createFeed(userId) {
+    const { data: feed, error } = await supabase
+      .from("calendar_feeds")
+      .insert([{ user_id: userId }])
+      .select("token")
+      .single();
+
+    if (error) throw error;
+    return feed.token;
+  }
+
+  renderFeedUrl(token) {
+    this.feedUrl = `${functionsUrl}/calendar-feed?token=${token}`;
+
+    const urlInput = document.getElementById("calendar-feed-url");
+    const webcalLink = document.getElementById("calendar-feed-webcal");
+    if (urlInput) urlInput.value = this.feedUrl;
+    if (webcalLink) webcalLink.href = this.feedUrl.replace(/^https?:/, "webcal:");
+  }
+
+  async copyFeedUrl() {
+    if (!this.feedUrl) return;
+
+    try {
+      await navigator.clipboard.writeText(this.feedUrl);
+      showToast("Subscription link copied", "success");
+    } catch (error) {
+      console.error("Error copying link:", error);
+      document.getElementById("calendar-feed-url")?.select();
+      showToast("Could not copy the link; select it and copy it manually", "error");
+    }
+  }
+
+  // A new token stops every calendar subscribed with the old link
+  async resetFeed() {
+    if (!window.confirm("Reset the link? Calendars subscribed with the current link will stop updating.")) {
+      return;
+    }
+
+    const userId = window.dashboard?.currentUser?.id;
+
+    try {
+      const { error } = await supabase
+        .from("calendar_feeds")
+        .delete()
+        .eq("user_id", userId);
+
+      if (error) throw error;
+
+      this.renderFeedUrl(await this.createFeed(userId));
+      showToast("Subscription link reset", "success");
+    } catch (error) {
+      console.error("Error resetting calendar feed:", error);
+      showToast("Error resetting the subscription link", "error");
+    }
+  }
+}
+
+export default CalendarExport;
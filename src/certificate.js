@@ -0,0 +1,217 @@
+// Or install with npm (npm install jspdf) and import from "jspdf" when bundling
+import { jsPDF } from "https://cdn.jsdelivr.net/npm/jspdf/+esm";
+import { showToast, formatDate } from "./utils.js";
+
+// Clinic details printed in the certificate header. Set VITE_CLINIC_* in
+// .env to use your own.
+const env = import.meta.env || {};
+const CLINIC = {
+  name: env.VITE_CLINIC_NAME || "VaxTracker Clinic",
+  address: env.VITE_CLINIC_ADDRESS || "",
+  phone: env.VITE_CLINIC_PHONE || "",
+};
+
+// Page layout in millimetres (A4)
+const PAGE = { width: 210, height: 297, margin: 20 };
+const COLUMNS = [
+  { header: "Vaccine", width: 70, value: r => r.vaccine_name },
+  { header: "Dose", width: 20, value: r => String(r.dose_number) },
+  { header: "Date Given", width: 40, value: r => formatDate(r.date_given) },
+  { header: "Lot Number", width: 40, value: r => r.lot_number || "" },
+];
+const ROW_HEIGHT = 8;
+
+class CertificateGenerator {
+  constructor() {
+    this.init();
+  }
+
+  init() {
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document
+      .getElementById("certificate-btn")
+      ?.addEventListener("click", () => this.downloadForActivePerson());
+  }
+
+  // ===========================
+  // DOWNLOADS
+  // ===========================
+  // Account holders download for whoever is selected in the person switcher
+  downloadForActivePerson() {
+    const dashboard = window.dashboard;
+    const personId = dashboard?.getActivePersonId();
+    const person = dashboard?.people.find(p => p.id === personId);
+
+    if (!person) {
+      showToast("Could not find whose certificate to create", "error");
+      return;
+    }
+
+    this.download(person, dashboard.records);
+  }
+
+  async downloadForPatient(patientId) {
+    const dashboard = window.dashboard;
+    if (!dashboard?.checkAdminPermission("create certificates for patients")) return;
+
+    const patient = dashboard.patients.find(p => p.id === patientId);
+    if (!patient) {
+      showToast("Patient not found", "error");
+      return;
+    }
+
+    try {
+      const records = await dashboard.loadVaccinationRecords(patientId);
+      this.download(patient, records);
+    } catch (error) {
+      console.error("Error loading records for certificate:", error);
+      showToast("Error creating certificate", "error");
+    }
+  }
+
+  download(person, records) {
+    if (records.length === 0) {
+      showToast("There are no vaccinations to put on a certificate", "error");
+      return;
+    }
+
+    try {
+      const doc = this.generate(person, records);
+      const fileName = (person.full_name || person.email || "patient")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-");
+      doc.save(`${fileName}-vaccination-certificate.pdf`);
+      showToast("Certificate downloaded", "success");
+    } catch (error) {
+      console.error("Error generating certificate:", error);
+      showToast("Error creating certificate", "error");
+    }
+  }
+
+  // ===========================
+  // PDF LAYOUT
+  // ===========================
+  generate(person, records) {
+    const doc = new jsPDF({ unit: "mm", format: "a4" });
+    const sorted = [...records].sort((a, b) =>
+      new Date(a.date_given) - new Date(b.date_given) ||
+      a.vaccine_name.localeCompare(b.vaccine_name)
+    );
+
+    let y = this.drawHeader(doc);
+    y = this.drawPatient(doc, person, y);
+    y = this.drawTableHeader(doc, y);
+
+    sorted.forEach(record => {
+      if (y + ROW_HEIGHT > PAGE.height - PAGE.margin - 10) {
+        doc.addPage();
+        y = this.drawTableHeader(doc, PAGE.margin);
+      }
+      y = this.drawRow(doc, record, y);
+    });
+
+    this.drawFooters(doc);
+    return doc;
+  }
+
+  drawHeader(doc) {
+    let y = PAGE.margin;
+
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(18);
+    doc.text(CLINIC.name, PAGE.width / 2, y, { align: "center" });
+
+    const contact = [CLINIC.address, CLINIC.phone].filter(Boolean).join(" · ");
+    if (contact) {
+      y += 6;
+      doc.setFont("helvetica", "normal");
+      doc.setFontSize(10);
+      doc.text(contact, PAGE.width / 2, y, { align: "center" });
+    }
+
+    y += 12;
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(14);
+    doc.text("Certificate of Vaccination", PAGE.width / 2, y, { align: "center" });
+
+    y += 4;
+    doc.setLineWidth(0.5);
+    doc.line(PAGE.margin, y, PAGE.width - PAGE.margin, y);
+
+    return y + 10;
+  }
+
+  drawPatient(doc, person, y) {
+    const rows = [
+      ["Name", person.full_name || person.email || ""],
+      ["Date of Birth", person.date_of_birth ? formatDate(person.date_of_birth) : "Not recorded"],
+      ["Issued", formatDate(new Date().toISOString())],
+    ];
+
+    doc.setFontSize(11);
+    rows.forEach(([label, value]) => {
+      doc.setFont("helvetica", "bold");
+      doc.text(`${label}:`, PAGE.margin, y);
+      doc.setFont("helvetica", "normal");
+      doc.text(value, PAGE.margin + 35, y);
+      y += 7;
+    });
+
+    return y + 5;
+  }
+
+  drawTableHeader(doc, y) {
+    doc.setFillColor(240, 240, 245);
+    doc.rect(PAGE.margin, y - 5.5, PAGE.width - PAGE.margin * 2, ROW_HEIGHT, "F");
+
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(10);
+
+    let x = PAGE.margin + 2;
+    COLUMNS.forEach(column => {
+      doc.text(column.header, x, y);
+      x += column.width;
+    });
+
+    return y + ROW_HEIGHT;
+  }
+
+  drawRow(doc, record, y) {
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(10);
+
+    let x = PAGE.margin + 2;
+    COLUMNS.forEach(column => {
+      // Keep long values inside their column
+      const [text] = doc.splitTextToSize(column.value(record), column.width - 4);
+      doc.text(text || "", x, y);
+      x += column.width;
+    });
+
+    doc.setDrawColor(220, 220, 225);
+    doc.setLineWidth(0.2);
+    doc.line(PAGE.margin, y + 2.5, PAGE.width - PAGE.margin, y + 2.5);
+
+    return y + ROW_HEIGHT;
+  }
+
+  drawFooters(doc) {
+    const pages = doc.getNumberOfPages();
+    const generated = `Generated ${new Date().toLocaleString("en-US")} by ${CLINIC.name}`;
+
+    for (let page = 1; page <= pages; page++) {
+      doc.setPage(page);
+      doc.setFont("helvetica", "normal");
+      doc.setFontSize(8);
+      doc.setTextColor(120);
+      doc.text(generated, PAGE.margin, PAGE.height - PAGE.margin / 2);
+      doc.text(`Page ${page} of ${pages}`, PAGE.width - PAGE.margin, PAGE.height - PAGE.margin / 2, { align: "right" });
+      doc.setTextColor(0);
+    }
+  }
+}
+
+export default CertificateGenerator;
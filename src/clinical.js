@@ -0,0 +1,45 @@
+// ==========================
+// Administration Routes
+// ==========================
+// Codes follow the HL7 RouteOfAdministration values used on immunization
+// records, so they can be exchanged without translation.
+export const ROUTES = [
+  { code: "IM", label: "Intramuscular" },
+  { code: "SQ", label: "Subcutaneous" },
+  { code: "ID", label: "Intradermal" },
+  { code: "NASINHLC", label: "Intranasal" },
+  { code: "PO", label: "Oral" },
+];
+
+// ==========================
+// Administration Sites
+// ==========================
+// Codes follow HL7 v2 table 0163 (body site).
+export const SITES = [
+  { code: "LD", label: "Left deltoid" },
+  { code: "RD", label: "Right deltoid" },
+  { code: "LA", label: "Left arm" },
+  { code: "RA", label: "Right arm" },
+  { code: "LT", label: "Left thigh" },
+  { code: "RT", label: "Right thigh" },
+  { code: "LVL", label: "Left vastus lateralis" },
+  { code: "RVL", label: "Right vastus lateralis" },
+];
+
+export function getRouteLabel(code) {
+  return ROUTES.find(r => r.code === code)?.label || code || "";
+}
+
+export function getSiteLabel(code) {
+  return SITES.find(s => s.code === code)?.label || code || "";
+}
+
+// ==========================
+// Select Options
+// ==========================
+export function renderCodeOptions(entries, placeholder) {
+  return `
+    <option value="">${placeholder}</option>
+    ${entries.map(e => `<option value="${e.code}">${e.label}</option>`).join("")}
+  `;
+}
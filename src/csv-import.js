@@ -0,0 +1,356 @@
+import { showToast, formatDate, escapeHtml } from "./utils.js";
+import { parseCsv, normalizeDate } from "./csv.js";
+import { ROUTES, SITES } from "./clinical.js";
+
+// Record fields a CSV column can be mapped to. Aliases are matched against
+// the file's headers to pre-fill the mapping.
+const IMPORT_FIELDS = [
+  { key: "patient", label: "Patient (email or name)", required: true, aliases: ["patient", "email", "patient email", "patient name", "name", "full name"] },
+  { key: "vaccine_name", label: "Vaccine", required: true, aliases: ["vaccine", "vaccine name"] },
+  { key: "dose_number", label: "Dose Number", required: true, aliases: ["dose", "dose number", "dose #"] },
+  { key: "date_given", label: "Date Given", required: true, aliases: ["date", "date given", "date administered", "administered"] },
+  { key: "next_due", label: "Next Due", aliases: ["next due", "next due date", "due date"] },
+  { key: "next_due_override_reason", label: "Schedule Override Reason", aliases: ["override reason", "reason"] },
+  { key: "lot_number", label: "Lot Number", aliases: ["lot", "lot number", "lot #"] },
+  { key: "manufacturer", label: "Manufacturer", aliases: ["manufacturer", "mfr"] },
+  { key: "expiration_date", label: "Expiration Date", aliases: ["expiration", "expiration date", "exp date"] },
+  { key: "route", label: "Route", aliases: ["route"] },
+  { key: "site", label: "Site", aliases: ["site", "body site"] },
+  { key: "provider", label: "Provider", aliases: ["provider", "administered by"] },
+  { key: "location", label: "Location", aliases: ["location", "clinic", "facility"] },
+];
+
+const DATE_FIELDS = ["date_given", "next_due", "expiration_date"];
+
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/[_-]+/g, " ").trim();
+}
+
+class CsvImport {
+  constructor() {
+    this.headers = [];
+    this.rows = [];
+    this.preview = [];
+    this.init();
+  }
+
+  init() {
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document
+      .getElementById("csv-import-btn")
+      ?.addEventListener("click", () => this.open());
+
+    document
+      .getElementById("import-file")
+      ?.addEventListener("change", (e) => this.handleFile(e.target.files[0]));
+
+    document
+      .getElementById("import-preview-btn")
+      ?.addEventListener("click", () => this.buildPreview());
+
+    document
+      .getElementById("import-confirm-btn")
+      ?.addEventListener("click", () => this.runImport());
+  }
+
+  // ===========================
+  // WIZARD STEPS
+  // ===========================
+  open() {
+    if (!window.dashboard?.checkAdminPermission("import vaccination records")) return;
+
+    this.reset();
+    window.modals?.openModal("csv-import-modal");
+  }
+
+  reset() {
+    this.headers = [];
+    this.rows = [];
+    this.preview = [];
+
+    const fileInput = document.getElementById("import-file");
+    if (fileInput) fileInput.value = "";
+
+    this.showStep("file");
+  }
+
+  // Shows the wizard up to and including the given step
+  showStep(step) {
+    const steps = ["file", "mapping", "preview"];
+    const reached = steps.indexOf(step);
+
+    steps.forEach((name, index) => {
+      const section = document.getElementById(`import-step-${name}`);
+      if (section) section.style.display = index <= reached ? "block" : "none";
+    });
+  }
+
+  async handleFile(file) {
+    if (!file) return;
+
+    try {
+      const [headers, ...rows] = parseCsv(await file.text());
+
+      if (!headers || rows.length === 0) {
+        showToast("The file has no rows to import", "error");
+        return;
+      }
+
+      this.headers = headers.map(h => h.trim());
+      this.rows = rows;
+      this.renderMapping();
+      this.showStep("mapping");
+    } catch (error) {
+      console.error("Error reading CSV file:", error);
+      showToast("Error reading CSV file", "error");
+    }
+  }
+
+  // ===========================
+  // COLUMN MAPPING
+  // ===========================
+  renderMapping() {
+    const container = document.getElementById("import-mapping");
+    if (!container) return;
+
+    const normalized = this.headers.map(normalizeHeader);
+
+    container.innerHTML = IMPORT_FIELDS
+      .map(field => {
+        const guess = normalized.findIndex(h => field.aliases.includes(h));
+        return `
+          <div class="form-group">
+            <label for="import-map-${field.key}">${field.label}${field.required ? " *" : ""}</label>
+            <select id="import-map-${field.key}">
+              <option value="">Not in file</option>
+              ${this.headers.map((header, index) => `
+                <option value="${index}" ${index === guess ? "selected" : ""}>${escapeHtml(header)}</option>
+              `).join("")}
+            </select>
+          </div>
+        `;
+      })
+      .join("");
+  }
+
+  // Field key -> column index for every mapped field
+  getMapping() {
+    const mapping = {};
+    IMPORT_FIELDS.forEach(field => {
+      const value = document.getElementById(`import-map-${field.key}`)?.value;
+      if (value !== undefined && value !== "") mapping[field.key] = parseInt(value);
+    });
+    return mapping;
+  }
+
+  // ===========================
+  // PREVIEW & VALIDATION
+  // ===========================
+  buildPreview() {
+    const dashboard = window.dashboard;
+    const mapping = this.getMapping();
+
+    const missing = IMPORT_FIELDS.filter(f => f.required && !(f.key in mapping));
+    if (missing.length > 0) {
+      showToast(`Please map a column for: ${missing.map(f => f.label).join(", ")}`, "error");
+      return;
+    }
+
+    const seen = new Set(dashboard.records.map(r => this.getDuplicateKey(r)));
+
+    const entries = this.rows.map((row, index) => ({
+      line: index + 2,
+      ...this.toFormData(row, mapping),
+    }));
+    dashboard.applyNextDue(entries.filter(e => !e.error), "Next dose recorded in the same import");
+
+    this.preview = entries.map(({ line, formData, error }) => {
+      const entry = { line, formData, status: "ready", message: "Ready" };
+
+      const ruleError = error || this.getRuleError(formData);
+      if (ruleError) {
+        return { ...entry, status: "error", message: ruleError };
+      }
+
+      const key = this.getDuplicateKey(formData);
+      if (seen.has(key)) {
+        return { ...entry, status: "duplicate", message: "Already recorded; will be skipped" };
+      }
+      seen.add(key);
+
+      return entry;
+    });
+
+    this.renderPreview();
+    this.showStep("preview");
+  }
+
+  // Turns a CSV row into the same shape as ModalManager.getFormData, plus
+  // the first problem found while resolving patients, dates and codes
+  toFormData(row, mapping) {
+    const value = (key) => (key in mapping ? (row[mapping[key]] || "").trim() : "");
+    const formData = {};
+    let error = null;
+
+    IMPORT_FIELDS.forEach(field => {
+      if (field.key !== "patient") formData[field.key] = value(field.key);
+    });
+
+    // Patients are matched by email, then by full name
+    const patientValue = value("patient").toLowerCase();
+    const byEmail = window.dashboard.patients.filter(p => p.email?.toLowerCase() === patientValue);
+    const matches = byEmail.length
+      ? byEmail
+      : window.dashboard.patients.filter(p => p.full_name?.toLowerCase() === patientValue);
+
+    if (matches.length === 1) {
+      formData.user_id = matches[0].id;
+    } else {
+      formData.user_id = "";
+      if (patientValue) {
+        error = matches.length
+          ? `"${value("patient")}" matches more than one patient`
+          : `No patient found for "${value("patient")}"`;
+      }
+    }
+
+    // Use the catalog's spelling so schedules and series line up
+    const catalogVaccine = window.vaccineCatalog?.vaccines.find(
+      v => v.name.toLowerCase() === formData.vaccine_name.toLowerCase()
+    );
+    if (catalogVaccine) formData.vaccine_name = catalogVaccine.name;
+
+    DATE_FIELDS.forEach(key => {
+      if (!formData[key]) return;
+      const date = normalizeDate(formData[key]);
+      if (!date && !error) {
+        const label = IMPORT_FIELDS.find(f => f.key === key).label;
+        error = `${label} "${formData[key]}" is not a valid date`;
+      }
+      formData[key] = date || "";
+    });
+
+    [["route", ROUTES], ["site", SITES]].forEach(([key, codes]) => {
+      if (!formData[key]) return;
+      const text = formData[key].toLowerCase();
+      const match = codes.find(c => c.code.toLowerCase() === text || c.label.toLowerCase() === text);
+      if (!match && !error) error = `Unknown ${key} "${formData[key]}"`;
+      formData[key] = match?.code || "";
+    });
+
+    return { formData, error };
+  }
+
+  // The add form's rules. A next due date that departs from the schedule
+  // can't be fixed from the preview, so say what the schedule expects.
+  getRuleError(formData) {
+    const dashboard = window.dashboard;
+    const error = dashboard.getVaccineFormError(formData);
+    if (!error) return null;
+
+    const suggestion = dashboard.getNextDueSuggestion(formData);
+    const onlyMissingReason = dashboard.isNextDueOverride(formData, suggestion) &&
+      !dashboard.getVaccineFormError({ ...formData, next_due_override_reason: "-" });
+
+    if (onlyMissingReason) {
+      const expected = suggestion.nextDue ? formatDate(suggestion.nextDue) : "no further dose";
+      return `Next due ${formatDate(formData.next_due)} differs from the schedule (${expected}); ` +
+        "map a Schedule Override Reason column or leave Next Due blank";
+    }
+
+    return error;
+  }
+
+  getDuplicateKey(record) {
+    return [
+      record.user_id,
+      record.vaccine_name.toLowerCase(),
+      parseInt(record.dose_number),
+      record.date_given,
+    ].join("|");
+  }
+
+  renderPreview() {
+    const summary = document.getElementById("import-summary");
+    const container = document.getElementById("import-preview");
+    const confirmBtn = document.getElementById("import-confirm-btn");
+
+    const count = (status) => this.preview.filter(e => e.status === status).length;
+    const ready = count("ready");
+
+    if (summary) {
+      summary.innerHTML = `
+        <div><strong>${ready}</strong> ready</div>
+        <div><strong>${count("duplicate")}</strong> duplicates</div>
+        <div><strong>${count("error")}</strong> with errors</div>
+      `;
+    }
+
+    if (confirmBtn) {
+      confirmBtn.disabled = ready === 0;
+      confirmBtn.innerHTML = `<i class="fas fa-file-import"></i> Import ${ready} Record${ready === 1 ? "" : "s"}`;
+    }
+
+    if (!container) return;
+
+    container.innerHTML = `
+      <table class="import-preview-table">
+        <thead>
+          <tr>
+            <th>Row</th>
+            <th>Patient</th>
+            <th>Vaccine</th>
+            <th>Dose</th>
+            <th>Date Given</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${this.preview.map(entry => `
+            <tr class="import-${entry.status}">
+              <td>${entry.line}</td>
+              <td>${escapeHtml(window.dashboard.getPatientLabel(entry.formData.user_id) || "—")}</td>
+              <td>${escapeHtml(entry.formData.vaccine_name || "—")}</td>
+              <td>${escapeHtml(entry.formData.dose_number || "—")}</td>
+              <td>${entry.formData.date_given ? formatDate(entry.formData.date_given) : "—"}</td>
+              <td>${escapeHtml(entry.message)}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    `;
+  }
+
+  // ===========================
+  // IMPORT
+  // ===========================
+  async runImport() {
+    const dashboard = window.dashboard;
+    if (!dashboard?.checkAdminPermission("import vaccination records")) return;
+
+    const ready = this.preview.filter(e => e.status === "ready");
+    if (ready.length === 0) return;
+
+    const confirmBtn = document.getElementById("import-confirm-btn");
+    if (confirmBtn) confirmBtn.disabled = true;
+
+    const { imported, failed } = await dashboard.insertRecords(ready.map(e => e.formData));
+
+    await dashboard.refreshDashboard();
+
+    if (failed) {
+      showToast(`Imported ${imported} records; ${failed} could not be saved`, "error");
+      // Saved rows now show as duplicates, so only the failures can be retried
+      this.buildPreview();
+      return;
+    }
+
+    showToast(`Imported ${imported} vaccination record${imported === 1 ? "" : "s"}`, "success");
+    window.modals?.closeModal("csv-import-modal");
+  }
+}
+
+export default CsvImport;
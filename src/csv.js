@@ -0,0 +1,90 @@
+// ==========================
+// CSV Parsing
+// ==========================
+// Parses RFC 4180 CSV text (quoted fields, escaped quotes, embedded commas and
+// newlines) into an array of rows, each an array of strings. Blank lines are
+// dropped.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Strip a byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ""));
+}
+
+// ==========================
+// Date Normalization
+// ==========================
+// Accepts "YYYY-MM-DD" or US-style "M/D/YYYY" and returns "YYYY-MM-DD", or
+// null when the value is not a real date.
+export function normalizeDate(value) {
+  const text = (value || "").trim();
+  let year, month, day;
+
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+
+  if (iso) [, year, month, day] = iso.map(Number);
+  else if (us) [, month, day, year] = us.map(Number);
+  else return null;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+  return date.toISOString().split("T")[0];
+}
+
+// ==========================
+// CSV Writing
+// ==========================
+// Serializes rows (arrays of values) to CSV with CRLF line endings. Text that
+// a spreadsheet would evaluate as a formula is prefixed with an apostrophe.
+export function toCsv(rows) {
+  return rows.map(row => row.map(escapeCsvValue).join(",")).join("\r\n");
+}
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return "";
+
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
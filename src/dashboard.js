@@ -1,15 +1,25 @@
 import { supabase, getCurrentUser } from "./supabase-client.js";
-import { showToast, formatDate, getVaccineStatus, debounce } from "./utils.js";
+import { showToast, formatDate, getVaccineStatus, debounce, toDateString } from "./utils.js";
+import { proposeNextDue, describeRecurrence, isRecurringDose } from "./schedules.js";
+import { buildSeries, formatSeriesProgress } from "./series.js";
+import { ROUTES, SITES, getRouteLabel, getSiteLabel, renderCodeOptions } from "./clinical.js";
+import { analyzeGaps } from "./recommendations.js";
+import { cachedQuery, isNetworkError } from "./offline-store.js";
 
 class Dashboard {
   constructor() {
     this.records = [];
     this.reminders = [];
     this.filteredRecords = [];
+    this.patients = [];
+    this.people = []; // Account holder and their dependents
+    this.activePersonId = null;
     this.currentUser = null;
     this.currentUserRole = "user"; // Default to most restrictive role
     this.isInitialized = false;
     this.searchDebounced = debounce((term) => this.performSearch(term), 300);
+    this.scheduleHandlers = {};
+    this.completingReminder = null; // Reminder the add form is recording a dose for
   }
 
   // ===========================
@@ -21,9 +31,21 @@ class Dashboard {
       
       // Step 1: Load user data and detect role
       await this.loadUserData();
+
+      // Step 1b: Load the account holder's dependents for the person switcher
+      await this.loadPeople();
       
       // Step 2: Load vaccination data based on role
       await this.loadVaccinationData();
+
+      // Step 2b: Load the patient list admins record doses against
+      await this.loadPatients();
+
+      // Step 2c: Load the vaccine catalog behind the add/edit forms
+      await window.vaccineCatalog?.load();
+
+      // Step 2d: Fill the route and site pickers
+      this.populateClinicalSelects();
       
       // Step 3: Setup UI based on role permissions
       this.setupRoleBasedUI();
@@ -35,9 +57,13 @@ class Dashboard {
       this.updateStats();
       this.renderRecords();
       this.renderReminders();
+      this.renderRecommendations();
       
       this.isInitialized = true;
       console.log(`Dashboard initialized successfully for role: ${this.currentUserRole}`);
+
+      // Replay anything left queued from an earlier offline session
+      window.sync?.sync();
       
     } catch (error) {
       console.error("Dashboard initialization error:", error);
@@ -60,11 +86,11 @@ class Dashboard {
       console.log("Current user ID:", this.currentUser.id);
 
       // Fetch user profile with role information from profiles table
-      const { data: profile, error } = await supabase
+      const { data: profile, error } = await cachedQuery(this.cacheKey("profile"), () => supabase
         .from("profiles")
         .select("full_name, role, email")
         .eq("id", this.currentUser.id)
-        .single();
+        .single());
 
       if (error) {
         console.error("Error fetching user profile:", error);
@@ -117,6 +143,81 @@ class Dashboard {
     }
   }
 
+  // ===========================
+  // FAMILY / PERSON SWITCHING
+  // ===========================
+  async loadPeople() {
+    try {
+      const { data: people, error } = await cachedQuery(this.cacheKey("people"), () => supabase
+        .from("profiles")
+        .select("id, full_name, email, relationship, managed_by, date_of_birth")
+        .or(`id.eq.${this.currentUser.id},managed_by.eq.${this.currentUser.id}`));
+
+      if (error) throw error;
+
+      // Account holder first, then dependents by name
+      this.people = (people || []).sort((a, b) => {
+        if (a.id === this.currentUser.id) return -1;
+        if (b.id === this.currentUser.id) return 1;
+        return (a.full_name || "").localeCompare(b.full_name || "");
+      });
+    } catch (error) {
+      console.error("Error in loadPeople:", error);
+      this.people = [];
+    }
+
+    // Fall back to the account holder if the selected dependent is gone
+    if (!this.people.some(p => p.id === this.activePersonId)) {
+      this.activePersonId = this.currentUser.id;
+    }
+
+    this.renderPersonSwitcher();
+  }
+
+  getActivePersonId() {
+    return this.activePersonId || this.currentUser?.id;
+  }
+
+  getActivePersonName() {
+    if (this.getActivePersonId() === this.currentUser?.id) return null;
+    return this.people.find(p => p.id === this.activePersonId)?.full_name || null;
+  }
+
+  getDependents() {
+    return this.people.filter(p => p.managed_by === this.currentUser?.id);
+  }
+
+  // Admins already see everyone, so the switcher is only for account holders
+  renderPersonSwitcher() {
+    const switcher = document.getElementById("person-switcher");
+    if (!switcher) return;
+
+    const dependents = this.getDependents();
+    if (this.currentUserRole === "admin" || dependents.length === 0) {
+      switcher.style.display = "none";
+      return;
+    }
+
+    switcher.innerHTML = `
+      <option value="${this.currentUser.id}">Me</option>
+      ${dependents
+        .map(d => `<option value="${d.id}">${d.full_name}${d.relationship ? ` (${d.relationship})` : ""}</option>`)
+        .join("")}
+    `;
+    switcher.value = this.getActivePersonId();
+    switcher.style.display = "inline-block";
+  }
+
+  async switchPerson(personId) {
+    if (!this.people.some(p => p.id === personId)) {
+      showToast("Access denied: You can only view your own family's data", "error");
+      return;
+    }
+
+    this.activePersonId = personId;
+    await this.refreshDashboard();
+  }
+
   // ===========================
   // VACCINATION DATA LOADING
   // ===========================
@@ -130,6 +231,9 @@ class Dashboard {
 
       // Load vaccination records based on role
       await this.loadVaccinationRecords();
+
+      // Sign attachment URLs so record cards can show thumbnails
+      await window.attachments?.loadSignedUrls(this.records);
       
       // Load reminders based on role
       await this.loadReminders();
@@ -145,84 +249,178 @@ class Dashboard {
     }
   }
 
-  async loadVaccinationRecords() {
+  // Loads records into the dashboard. Passing a patientId instead returns
+  // that patient's records without touching dashboard state.
+  async loadVaccinationRecords(patientId = null) {
     try {
       let recordsQuery = supabase
         .from("vaccination_records")
         .select(`
           *,
-          profiles!vaccination_records_user_id_fkey(full_name, email)
+          profiles!vaccination_records_user_id_fkey(full_name, email),
+          record_attachments(id, record_id, storage_path, file_name, content_type, size_bytes)
         `)
+        .is("deleted_at", null)
         .order("date_given", { ascending: false });
 
       // Apply role-based filtering
+      const scopeId = this.currentUserRole === "user" ? this.getActivePersonId() : patientId;
       if (this.currentUserRole === "user") {
-        // Users can only see their own records
-        recordsQuery = recordsQuery.eq("user_id", this.currentUser.id);
-        console.log("Filtering records for user:", this.currentUser.id);
+        // Users see their own records or a selected dependent's
+        recordsQuery = recordsQuery.eq("user_id", scopeId);
+        console.log("Filtering records for person:", scopeId);
+      } else if (patientId) {
+        // Admin looking at a single patient
+        recordsQuery = recordsQuery.eq("user_id", scopeId);
+        console.log("Filtering records for patient:", scopeId);
       } else if (this.currentUserRole === "admin") {
         // Admins can see all records
         console.log("Loading all records for admin");
       }
 
-      const { data: records, error: recordsError } = await recordsQuery;
+      const { data, error: recordsError } = await cachedQuery(
+        this.cacheKey("records", scopeId || "all"),
+        () => recordsQuery
+      );
       
       if (recordsError) {
         console.error("Error loading vaccination records:", recordsError);
         throw recordsError;
       }
 
-      this.records = records || [];
+      // Show changes made offline that haven't synced yet
+      await window.sync?.ready;
+      const records = window.sync
+        ? window.sync.applyPending(data || [], r => !scopeId || r.user_id === scopeId)
+        : data || [];
+
+      if (patientId) return records;
+
+      this.records = records;
       this.filteredRecords = [...this.records];
       
       console.log(`Loaded ${this.records.length} vaccination records`);
+      return this.records;
       
     } catch (error) {
       console.error("Error in loadVaccinationRecords:", error);
+      if (patientId) throw error;
       this.records = [];
       this.filteredRecords = [];
+      return this.records;
     }
   }
 
-  async loadReminders() {
+  // Loads reminders into the dashboard. Passing a patientId instead returns
+  // that patient's reminders without touching dashboard state.
+  async loadReminders(patientId = null) {
     try {
       let remindersQuery = supabase
         .from("reminders")
         .select(`
           *,
-          vaccination_records(vaccine_name, dose_number),
-          profiles!reminders_user_id_fkey(full_name, email)
+          vaccination_records(vaccine_name, dose_number, date_given),
+          profiles!reminders_user_id_fkey(full_name, email),
+          reminder_deliveries(channel, status, attempted_at)
         `)
-        .eq("sent", false)
+        .is("deleted_at", null)
+        .is("dismissed_at", null)
+        .is("completed_at", null)
         .order("due_date", { ascending: true });
 
       // Apply role-based filtering
+      const scopeId = this.currentUserRole === "user" ? this.getActivePersonId() : patientId;
       if (this.currentUserRole === "user") {
-        // Users can only see their own reminders
-        remindersQuery = remindersQuery.eq("user_id", this.currentUser.id);
-        console.log("Filtering reminders for user:", this.currentUser.id);
+        // Users see their own reminders or a selected dependent's
+        remindersQuery = remindersQuery.eq("user_id", scopeId);
+        console.log("Filtering reminders for person:", scopeId);
+      } else if (patientId) {
+        // Admin looking at a single patient
+        remindersQuery = remindersQuery.eq("user_id", scopeId);
+        console.log("Filtering reminders for patient:", scopeId);
       } else if (this.currentUserRole === "admin") {
         // Admins can see all reminders
         console.log("Loading all reminders for admin");
       }
 
-      const { data: reminders, error: remindersError } = await remindersQuery;
+      const { data: reminders, error: remindersError } = await cachedQuery(
+        this.cacheKey("reminders", scopeId || "all"),
+        () => remindersQuery
+      );
       
       if (remindersError) {
         console.error("Error loading reminders:", remindersError);
         throw remindersError;
       }
 
+      if (patientId) return reminders || [];
+
       this.reminders = reminders || [];
       
       console.log(`Loaded ${this.reminders.length} reminders`);
+      return this.reminders;
       
     } catch (error) {
       console.error("Error in loadReminders:", error);
+      if (patientId) throw error;
       this.reminders = [];
+      return this.reminders;
     }
   }
 
+  // ===========================
+  // PATIENT LOOKUP (ADMIN ONLY)
+  // ===========================
+  async loadPatients() {
+    if (this.currentUserRole !== "admin") {
+      this.patients = [];
+      return;
+    }
+
+    try {
+      const { data: patients, error } = await cachedQuery(this.cacheKey("patients"), () => supabase
+        .from("profiles")
+        .select("id, full_name, email, managed_by, relationship, date_of_birth")
+        .order("full_name", { ascending: true }));
+
+      if (error) throw error;
+
+      this.patients = patients || [];
+      console.log(`Loaded ${this.patients.length} patients`);
+    } catch (error) {
+      console.error("Error in loadPatients:", error);
+      showToast("Error loading patient list", "error");
+      this.patients = [];
+    }
+
+    this.populatePatientSelects();
+  }
+
+  populatePatientSelects() {
+    const options = this.patients
+      .map(patient => {
+        const label = patient.full_name && patient.email
+          ? `${patient.full_name} (${patient.email})`
+          : patient.full_name || patient.email;
+        return `<option value="${patient.id}">${label}</option>`;
+      })
+      .join("");
+
+    ["patient-select", "edit-patient-select", "scan-card-patient-select"].forEach(selectId => {
+      const select = document.getElementById(selectId);
+      if (!select) return;
+
+      const selected = select.value;
+      select.innerHTML = `<option value="">Select a patient</option>${options}`;
+      select.value = selected;
+    });
+  }
+
+  getPatientLabel(userId) {
+    const patient = this.patients.find(p => p.id === userId);
+    return patient ? patient.full_name || patient.email : "";
+  }
+
   // ===========================
   // ROLE-BASED UI SETUP
   // ===========================
@@ -232,6 +430,12 @@ class Dashboard {
     // Get UI elements
     const addVaccineBtn = document.getElementById("add-vaccine-btn");
     const viewRemindersBtn = document.getElementById("view-reminders-btn");
+    const patientDirectoryBtn = document.getElementById("patient-directory-btn");
+    const vaccineCatalogBtn = document.getElementById("vaccine-catalog-btn");
+    const recycleBinBtn = document.getElementById("recycle-bin-btn");
+    const csvImportBtn = document.getElementById("csv-import-btn");
+    const certificateBtn = document.getElementById("certificate-btn");
+    const healthCardBtn = document.getElementById("health-card-btn");
     const headerTitle = document.querySelector(".header .logo h1");
 
     if (this.currentUserRole === "admin") {
@@ -243,6 +447,26 @@ class Dashboard {
       if (viewRemindersBtn) {
         viewRemindersBtn.style.display = "inline-flex";
       }
+      if (patientDirectoryBtn) {
+        patientDirectoryBtn.style.display = "inline-flex";
+      }
+      if (vaccineCatalogBtn) {
+        vaccineCatalogBtn.style.display = "inline-flex";
+      }
+      if (recycleBinBtn) {
+        recycleBinBtn.style.display = "inline-flex";
+      }
+      if (csvImportBtn) {
+        csvImportBtn.style.display = "inline-flex";
+      }
+      // Admins download certificates and health cards per patient from the
+      // patient history
+      if (certificateBtn) {
+        certificateBtn.style.display = "none";
+      }
+      if (healthCardBtn) {
+        healthCardBtn.style.display = "none";
+      }
       if (headerTitle) {
         headerTitle.textContent = "VaxTracker Admin";
       }
@@ -257,6 +481,24 @@ class Dashboard {
       if (viewRemindersBtn) {
         viewRemindersBtn.style.display = "inline-flex";
       }
+      if (patientDirectoryBtn) {
+        patientDirectoryBtn.style.display = "none";
+      }
+      if (vaccineCatalogBtn) {
+        vaccineCatalogBtn.style.display = "none";
+      }
+      if (recycleBinBtn) {
+        recycleBinBtn.style.display = "none";
+      }
+      if (csvImportBtn) {
+        csvImportBtn.style.display = "none";
+      }
+      if (certificateBtn) {
+        certificateBtn.style.display = "inline-flex";
+      }
+      if (healthCardBtn) {
+        healthCardBtn.style.display = "inline-flex";
+      }
       if (headerTitle) {
         headerTitle.textContent = "VaxTracker";
       }
@@ -311,8 +553,19 @@ class Dashboard {
       viewRemindersBtn.addEventListener("click", this.handleViewRemindersClick);
     }
 
+    // Person switcher (account holders with dependents)
+    const personSwitcher = document.getElementById("person-switcher");
+    if (personSwitcher) {
+      personSwitcher.removeEventListener("change", this.handlePersonSwitch);
+      this.handlePersonSwitch = (e) => this.switchPerson(e.target.value);
+      personSwitcher.addEventListener("change", this.handlePersonSwitch);
+    }
+
     // Setup custom vaccine input toggles for forms
     this.setupCustomVaccineToggles();
+
+    // Setup next due suggestions from the vaccine schedules
+    this.setupNextDueSuggestions();
   }
 
   setupCustomVaccineToggles() {
@@ -345,6 +598,128 @@ class Dashboard {
     }
   }
 
+  // ===========================
+  // NEXT DUE SUGGESTIONS
+  // ===========================
+  // prefix is "" for the add form and "edit-" for the edit form
+  setupNextDueSuggestions() {
+    ["", "edit-"].forEach(prefix => {
+      const previous = this.scheduleHandlers[prefix];
+      const handlers = {
+        schedule: () => this.refreshNextDueSuggestion(prefix, { apply: true }),
+        nextDue: () => this.refreshNextDueSuggestion(prefix, { apply: false }),
+      };
+
+      ["vaccine-name", "custom-vaccine-name", "dose-number", "date-given"].forEach(id => {
+        const input = document.getElementById(`${prefix}${id}`);
+        if (!input) return;
+        if (previous) input.removeEventListener("change", previous.schedule);
+        input.addEventListener("change", handlers.schedule);
+      });
+
+      const nextDueInput = document.getElementById(`${prefix}next-due`);
+      if (nextDueInput) {
+        if (previous) nextDueInput.removeEventListener("change", previous.nextDue);
+        nextDueInput.addEventListener("change", handlers.nextDue);
+      }
+
+      this.scheduleHandlers[prefix] = handlers;
+    });
+  }
+
+  getNextDueSuggestion(formData) {
+    const vaccine = window.vaccineCatalog?.findByName(formData.vaccine_name);
+    return proposeNextDue(vaccine, formData.dose_number, formData.date_given);
+  }
+
+  isNextDueOverride(formData, suggestion) {
+    return !!suggestion && (formData.next_due || null) !== suggestion.nextDue;
+  }
+
+  // Shows the schedule's suggestion and, with apply, copies it into the
+  // next due input. Asks for a reason whenever the two disagree.
+  refreshNextDueSuggestion(prefix, { apply = false } = {}) {
+    const formId = prefix ? "edit-vaccine-form" : "add-vaccine-form";
+    const nextDueInput = document.getElementById(`${prefix}next-due`);
+    const hint = document.getElementById(`${prefix}suggestion-hint`);
+    const reasonGroup = document.getElementById(`${prefix}override-reason-group`);
+    const reasonInput = document.getElementById(`${prefix}override-reason`);
+    if (!window.modals || !nextDueInput) return;
+
+    let formData = window.modals.getFormData(formId);
+    const suggestion = this.getNextDueSuggestion(formData);
+
+    if (apply && suggestion) {
+      nextDueInput.value = suggestion.nextDue || "";
+      formData = window.modals.getFormData(formId);
+    }
+
+    if (hint) {
+      hint.textContent = suggestion
+        ? `${suggestion.reason}${suggestion.nextDue ? ` — suggested ${formatDate(suggestion.nextDue)}` : ""}`
+        : "";
+    }
+
+    const isOverride = this.isNextDueOverride(formData, suggestion);
+    if (reasonGroup) reasonGroup.style.display = isOverride ? "block" : "none";
+    if (reasonInput) {
+      reasonInput.required = isOverride;
+      if (!isOverride) reasonInput.value = "";
+    }
+  }
+
+  // Series state and override reason stored alongside a record
+  getScheduleFields(formData) {
+    const suggestion = this.getNextDueSuggestion(formData);
+    const isOverride = this.isNextDueOverride(formData, suggestion);
+
+    return {
+      series_complete: suggestion?.seriesComplete || false,
+      next_due_override_reason: isOverride ? formData.next_due_override_reason : null,
+    };
+  }
+
+  // Record columns as the add and edit forms and the imports save them
+  getRecordFields(formData) {
+    return {
+      user_id: formData.user_id,
+      vaccine_name: formData.vaccine_name,
+      dose_number: parseInt(formData.dose_number),
+      date_given: formData.date_given,
+      next_due: formData.next_due || null,
+      ...this.getScheduleFields(formData),
+      ...this.getClinicalFields(formData),
+    };
+  }
+
+  // ===========================
+  // CLINICAL DETAILS
+  // ===========================
+  populateClinicalSelects() {
+    ["route", "edit-route"].forEach(selectId => {
+      const select = document.getElementById(selectId);
+      if (select) select.innerHTML = renderCodeOptions(ROUTES, "Select a route");
+    });
+
+    ["admin-site", "edit-admin-site"].forEach(selectId => {
+      const select = document.getElementById(selectId);
+      if (select) select.innerHTML = renderCodeOptions(SITES, "Select a site");
+    });
+  }
+
+  // Clinical detail columns stored alongside a record; blanks become null
+  getClinicalFields(formData) {
+    return {
+      lot_number: formData.lot_number || null,
+      manufacturer: formData.manufacturer || null,
+      expiration_date: formData.expiration_date || null,
+      route: formData.route || null,
+      site: formData.site || null,
+      provider: formData.provider || null,
+      location: formData.location || null,
+    };
+  }
+
   toggleCustomVaccineInput(groupId, inputId, value) {
     const group = document.getElementById(groupId);
     const input = document.getElementById(inputId);
@@ -374,10 +749,10 @@ class Dashboard {
   }
 
   checkUserDataAccess(userId) {
-    // Users can only access their own data, admins can access all data
+    // Users can access their own and their dependents' data, admins can access all data
     if (this.currentUserRole === "admin") return true;
     
-    const hasAccess = this.currentUser && this.currentUser.id === userId;
+    const hasAccess = !!this.currentUser && this.people.some(p => p.id === userId);
     if (!hasAccess) {
       showToast("Access denied: You can only view your own data", "error");
     }
@@ -395,6 +770,10 @@ class Dashboard {
     } else {
       this.filteredRecords = this.records.filter(record => 
         record.vaccine_name.toLowerCase().includes(term) ||
+        (record.lot_number && record.lot_number.toLowerCase().includes(term)) ||
+        (record.manufacturer && record.manufacturer.toLowerCase().includes(term)) ||
+        (record.provider && record.provider.toLowerCase().includes(term)) ||
+        (record.location && record.location.toLowerCase().includes(term)) ||
         (record.profiles?.full_name && record.profiles.full_name.toLowerCase().includes(term)) ||
         (record.profiles?.email && record.profiles.email.toLowerCase().includes(term))
       );
@@ -409,29 +788,37 @@ class Dashboard {
   updateStats() {
     const totalVaccines = this.records.length;
     
-    // Calculate up-to-date records (no next due date or future due date)
-    const upToDate = this.records.filter(record => {
-      return !record.next_due || new Date(record.next_due) > new Date();
+    // Calculate up-to-date series (no skipped doses and latest dose not overdue)
+    const upToDate = this.getSeries(this.records).filter(series => {
+      const nextDue = series.latest.next_due;
+      return series.skippedDoses.length === 0 &&
+        (!nextDue || new Date(nextDue) > new Date());
     }).length;
 
+    const { upcoming: upcomingReminders, overdue } = this.countReminders(this.reminders);
+
+    // Update DOM elements
+    this.updateStatElement("total-vaccines", totalVaccines);
+    this.updateStatElement("up-to-date", upToDate);
+    this.updateStatElement("upcoming-reminders", upcomingReminders);
+    this.updateStatElement("overdue", overdue);
+  }
+
+  countReminders(reminders) {
     // Calculate upcoming reminders (due within 30 days)
     const today = new Date();
     const thirtyDaysFromNow = new Date(today.getTime() + 30 * 24 * 60 * 60 * 1000);
-    const upcomingReminders = this.reminders.filter(reminder => {
+    const upcoming = reminders.filter(reminder => {
       const dueDate = new Date(reminder.due_date);
       return dueDate >= today && dueDate <= thirtyDaysFromNow;
     }).length;
 
     // Calculate overdue reminders
-    const overdue = this.reminders.filter(reminder => {
+    const overdue = reminders.filter(reminder => {
       return new Date(reminder.due_date) < today;
     }).length;
 
-    // Update DOM elements
-    this.updateStatElement("total-vaccines", totalVaccines);
-    this.updateStatElement("up-to-date", upToDate);
-    this.updateStatElement("upcoming-reminders", upcomingReminders);
-    this.updateStatElement("overdue", overdue);
+    return { upcoming, overdue };
   }
 
   updateStatElement(elementId, value) {
@@ -465,12 +852,70 @@ class Dashboard {
       return;
     }
 
-    // Render records with role-based actions
-    container.innerHTML = this.filteredRecords
-      .map(record => this.renderRecordCard(record))
+    // Render records grouped into series, with role-based actions
+    container.innerHTML = this.renderSeriesGroups(this.filteredRecords);
+  }
+
+  getSeries(records) {
+    return buildSeries(records, name => window.vaccineCatalog?.findByName(name));
+  }
+
+  renderSeriesGroups(records) {
+    return this.getSeries(records)
+      .map(series => this.renderSeriesGroup(series))
       .join("");
   }
 
+  renderSeriesGroup(series) {
+    const isAdmin = this.currentUserRole === "admin";
+    const percent = series.requiredDoses
+      ? Math.min(100, Math.round((series.dosesRecorded / series.requiredDoses) * 100))
+      : 100;
+
+    const issues = [
+      ...series.skippedDoses.map(dose => `Dose ${dose} missing`),
+      ...series.duplicateDoses.map(dose => `Dose ${dose} recorded more than once`),
+      ...(series.outOfOrder ? ["Dose numbers out of order by date"] : []),
+    ];
+
+    const statusBadge = series.isComplete
+      ? '<span class="status-badge status-current">Series complete</span>'
+      : series.requiredDoses
+        ? '<span class="status-badge status-upcoming">Incomplete series</span>'
+        : "";
+
+    return `
+      <div class="series-group ${series.isComplete ? "complete" : ""}">
+        <div class="series-header">
+          <div class="series-title">
+            <i class="fas fa-layer-group"></i>
+            ${series.vaccineName}
+            ${isAdmin && series.profiles ? `
+              <span class="series-patient">
+                <i class="fas fa-user"></i>
+                ${series.profiles.full_name || series.profiles.email}
+              </span>
+            ` : ""}
+          </div>
+          <div class="series-status">
+            <span class="series-progress-text">${formatSeriesProgress(series)}</span>
+            <div class="series-progress" aria-hidden="true">
+              <div class="series-progress-bar" style="width: ${percent}%"></div>
+            </div>
+            ${statusBadge}
+          </div>
+        </div>
+        ${issues.length ? `
+          <div class="series-issues">
+            <i class="fas fa-exclamation-triangle"></i>
+            ${issues.join(" · ")}
+          </div>
+        ` : ""}
+        ${series.records.map(record => this.renderRecordCard(record, series)).join("")}
+      </div>
+    `;
+  }
+
   getEmptyRecordsHTML() {
     const isAdmin = this.currentUserRole === "admin";
     const searchInput = document.getElementById("search-input");
@@ -496,7 +941,9 @@ class Dashboard {
         <p>
           ${isAdmin 
             ? "No vaccination records have been added to the system yet." 
-            : "You don't have any vaccination records yet."
+            : this.getActivePersonName()
+              ? `${this.getActivePersonName()} doesn't have any vaccination records yet.`
+              : "You don't have any vaccination records yet."
           }
         </p>
         ${isAdmin 
@@ -507,12 +954,19 @@ class Dashboard {
     `;
   }
 
-  renderRecordCard(record) {
+  // When rendered inside a series group, the group header already names the
+  // patient and the dose badge shows progress through the primary series.
+  renderRecordCard(record, series = null) {
     const status = getVaccineStatus(record.next_due);
     const isAdmin = this.currentUserRole === "admin";
+    const doseLabel = series?.requiredDoses && record.dose_number <= series.requiredDoses
+      ? `Dose ${record.dose_number} of ${series.requiredDoses}`
+      : series?.requiredDoses
+        ? `Booster (dose ${record.dose_number})`
+        : `Dose ${record.dose_number}`;
     
     // For admin view, show user information if available
-    const userInfo = isAdmin && record.profiles ? 
+    const userInfo = isAdmin && record.profiles && !series ? 
       `<div class="record-user-info">
         <i class="fas fa-user"></i>
         ${record.profiles.full_name || record.profiles.email}
@@ -524,7 +978,12 @@ class Dashboard {
           <div class="record-title">
             <i class="fas fa-syringe"></i>
             ${record.vaccine_name}
-            <span class="dose-badge">Dose ${record.dose_number}</span>
+            <span class="dose-badge">${doseLabel}</span>
+            ${record.pending ? `
+              <span class="pending-badge" title="Saved offline, waiting to sync">
+                <i class="fas fa-sync"></i> Pending
+              </span>
+            ` : ""}
           </div>
           ${isAdmin ? this.renderAdminActions(record.id) : ""}
         </div>
@@ -540,10 +999,47 @@ class Dashboard {
               Next Due: ${formatDate(record.next_due)}
             </div>
           ` : ""}
+          ${record.lot_number ? `
+            <div class="record-detail">
+              <i class="fas fa-barcode"></i>
+              Lot: ${record.lot_number}${record.expiration_date ? ` (exp. ${formatDate(record.expiration_date)})` : ""}
+            </div>
+          ` : ""}
+          ${record.manufacturer ? `
+            <div class="record-detail">
+              <i class="fas fa-industry"></i>
+              ${record.manufacturer}
+            </div>
+          ` : ""}
+          ${record.route || record.site ? `
+            <div class="record-detail">
+              <i class="fas fa-crosshairs"></i>
+              ${[getRouteLabel(record.route), getSiteLabel(record.site)].filter(Boolean).join(" · ")}
+            </div>
+          ` : ""}
+          ${record.provider ? `
+            <div class="record-detail">
+              <i class="fas fa-user-md"></i>
+              ${record.provider}
+            </div>
+          ` : ""}
+          ${record.location ? `
+            <div class="record-detail">
+              <i class="fas fa-map-marker-alt"></i>
+              ${record.location}
+            </div>
+          ` : ""}
+          ${record.next_due_override_reason ? `
+            <div class="record-detail" title="Next due date changed from the schedule">
+              <i class="fas fa-pen"></i>
+              ${record.next_due_override_reason}
+            </div>
+          ` : ""}
           <div class="record-detail">
             <span class="status-badge status-${status.class}">${status.text}</span>
           </div>
         </div>
+        ${window.attachments?.renderThumbnails(record) || ""}
       </div>
     `;
   }
@@ -559,6 +1055,14 @@ class Dashboard {
         >
           <i class="fas fa-edit"></i>
         </button>
+        <button 
+          class="btn-icon" 
+          onclick="window.auditLog.open('${recordId}')" 
+          title="Change History"
+          aria-label="View change history"
+        >
+          <i class="fas fa-history"></i>
+        </button>
         <button 
           class="btn-icon btn-danger" 
           onclick="window.dashboard.deleteRecord('${recordId}')" 
@@ -611,6 +1115,11 @@ class Dashboard {
     const vaccineName = reminder.vaccination_records?.vaccine_name || "Unknown Vaccine";
     const doseNumber = reminder.vaccination_records?.dose_number || 1;
     const isAdmin = this.currentUserRole === "admin";
+    const isSnoozed = reminder.snoozed_until && reminder.snoozed_until > toDateString();
+
+    // Boosters and seasonal vaccines say why they came back
+    const vaccine = window.vaccineCatalog?.findByName(vaccineName);
+    const recurrence = isRecurringDose(vaccine, doseNumber) ? describeRecurrence(vaccine) : null;
     
     // For admin view, show user information if available
     const userInfo = isAdmin && reminder.profiles ? 
@@ -620,23 +1129,235 @@ class Dashboard {
       </div>` : "";
     
     return `
-      <div class="reminder-card ${isOverdue ? "overdue" : ""}">
+      <div class="reminder-card ${isOverdue ? "overdue" : ""}" data-reminder-id="${reminder.id}">
         <div class="reminder-info">
           <h4>${vaccineName} - Dose ${doseNumber}</h4>
           ${userInfo}
           <p>
             ${isOverdue ? "Overdue since" : "Due on"} ${formatDate(reminder.due_date)}
           </p>
+          ${recurrence ? `
+            <p class="reminder-recurrence">
+              <i class="fas fa-redo"></i>
+              ${recurrence} · after the dose on ${formatDate(reminder.vaccination_records.date_given)}
+            </p>
+          ` : ""}
+          ${this.renderDeliveryStatus(reminder)}
+          ${isSnoozed ? `
+            <p class="reminder-snoozed">
+              <i class="fas fa-moon"></i>
+              Snoozed until ${formatDate(reminder.snoozed_until)}
+            </p>
+          ` : ""}
         </div>
         <div class="reminder-status">
           <span class="reminder-badge ${isOverdue ? "overdue" : "upcoming"}">
             ${isOverdue ? "OVERDUE" : "UPCOMING"}
           </span>
+          ${isAdmin ? `
+            <button
+              class="btn-icon"
+              onclick="window.dashboard.recordReminderDose('${reminder.id}')"
+              title="Record This Dose"
+              aria-label="Record this dose"
+            >
+              <i class="fas fa-syringe"></i>
+            </button>
+          ` : ""}
+          <button
+            class="btn-icon"
+            onclick="window.calendar.downloadReminder('${reminder.id}')"
+            title="Add to Calendar"
+            aria-label="Add reminder to calendar"
+          >
+            <i class="fas fa-calendar-plus"></i>
+          </button>
+          ${isSnoozed ? `
+            <button
+              class="btn-icon"
+              onclick="window.dashboard.snoozeReminder('${reminder.id}', 0)"
+              title="Stop Snoozing"
+              aria-label="Stop snoozing reminder"
+            >
+              <i class="fas fa-bell"></i>
+            </button>
+          ` : `
+            <select
+              class="reminder-snooze"
+              onchange="window.dashboard.snoozeReminder('${reminder.id}', Number(this.value))"
+              title="Snooze"
+              aria-label="Snooze reminder"
+            >
+              <option value="" selected disabled>Snooze</option>
+              <option value="1">1 day</option>
+              <option value="7">1 week</option>
+              <option value="30">1 month</option>
+            </select>
+          `}
+          <button
+            class="btn-icon btn-danger"
+            onclick="window.dashboard.dismissReminder('${reminder.id}')"
+            title="Dismiss"
+            aria-label="Dismiss reminder"
+          >
+            <i class="fas fa-times"></i>
+          </button>
         </div>
       </div>
     `;
   }
 
+  // Latest notification attempt on each channel
+  renderDeliveryStatus(reminder) {
+    const channels = {
+      email: { icon: "fa-envelope", label: "Email" },
+      push: { icon: "fa-bell", label: "Notification" },
+      sms: { icon: "fa-sms", label: "Text" },
+    };
+
+    const latest = {};
+    (reminder.reminder_deliveries || []).forEach(delivery => {
+      const previous = latest[delivery.channel];
+      if (!previous || delivery.attempted_at > previous.attempted_at) {
+        latest[delivery.channel] = delivery;
+      }
+    });
+
+    const chips = Object.keys(channels)
+      .filter(channel => latest[channel])
+      .map(channel => {
+        const delivery = latest[channel];
+        const sent = delivery.status === "sent";
+        return `
+          <span class="delivery-chip ${sent ? "sent" : "failed"}">
+            <i class="fas ${channels[channel].icon}"></i>
+            ${channels[channel].label} ${sent ? "sent" : "failed"} ${formatDate(delivery.attempted_at)}
+          </span>
+        `;
+      });
+
+    return chips.length ? `<div class="reminder-deliveries">${chips.join("")}</div>` : "";
+  }
+
+  // ===========================
+  // RECOMMENDED SCHEDULE
+  // ===========================
+  // Admins see every patient at once, so the dashboard checklist is for the
+  // person being viewed; admins get it per patient in the directory instead.
+  renderRecommendations() {
+    const section = document.getElementById("recommendations-section");
+    const container = document.getElementById("recommendations-container");
+    if (!section || !container) return;
+
+    if (this.currentUserRole === "admin") {
+      section.style.display = "none";
+      return;
+    }
+
+    const person = this.people.find(p => p.id === this.getActivePersonId());
+    section.style.display = "block";
+    container.innerHTML = this.renderGapChecklist(person, this.records);
+  }
+
+  renderGapChecklist(person, records) {
+    if (!person) return "";
+
+    if (!person.date_of_birth) {
+      return `
+        <div class="dob-prompt">
+          <p>Add a date of birth to see which vaccines are recommended for this age.</p>
+          <div class="dob-prompt-form">
+            <input type="date" aria-label="Date of birth" max="${new Date().toISOString().split("T")[0]}" />
+            <button
+              class="btn btn-primary"
+              type="button"
+              onclick="window.dashboard.saveDateOfBirth('${person.id}', this)"
+            >
+              <i class="fas fa-save"></i> Save
+            </button>
+          </div>
+        </div>
+      `;
+    }
+
+    const items = analyzeGaps(person.date_of_birth, records);
+    if (items.length === 0) {
+      return '<p class="checklist-empty">No vaccines are recommended at this age yet.</p>';
+    }
+
+    const order = { missing: 0, due: 1, complete: 2 };
+    const labels = { missing: "Missing", due: "Due", complete: "Complete" };
+    const icons = {
+      missing: "fas fa-times-circle",
+      due: "fas fa-clock",
+      complete: "fas fa-check-circle",
+    };
+    const counts = items.reduce((acc, item) => {
+      acc[item.status] = (acc[item.status] || 0) + 1;
+      return acc;
+    }, {});
+
+    return `
+      <div class="checklist-summary">
+        ${["missing", "due", "complete"]
+          .map(status => `<span class="checklist-count ${status}">${counts[status] || 0} ${labels[status].toLowerCase()}</span>`)
+          .join("")}
+      </div>
+      <ul class="checklist">
+        ${items
+          .sort((a, b) => order[a.status] - order[b.status])
+          .map(item => `
+            <li class="checklist-item ${item.status}">
+              <i class="${icons[item.status]}"></i>
+              <div class="checklist-info">
+                <strong>${item.vaccine}</strong>
+                <span>${item.detail}${item.dueDate && item.status !== "complete" ? ` (${formatDate(item.dueDate)})` : ""}</span>
+              </div>
+              <span class="checklist-badge ${item.status}">${labels[item.status]}</span>
+            </li>
+          `)
+          .join("")}
+      </ul>
+    `;
+  }
+
+  async saveDateOfBirth(personId, button) {
+    const input = button?.parentElement?.querySelector('input[type="date"]');
+    const dateOfBirth = input?.value;
+
+    if (!dateOfBirth) {
+      showToast("Please enter a date of birth", "error");
+      return;
+    }
+
+    if (new Date(dateOfBirth) > new Date()) {
+      showToast("Date of birth cannot be in the future", "error");
+      return;
+    }
+
+    try {
+      const { error } = await supabase
+        .from("profiles")
+        .update({ date_of_birth: dateOfBirth })
+        .eq("id", personId);
+
+      if (error) throw error;
+
+      showToast("Date of birth saved", "success");
+
+      // Keep both person lists in step with the saved value
+      [...this.people, ...this.patients]
+        .filter(p => p.id === personId)
+        .forEach(p => { p.date_of_birth = dateOfBirth; });
+
+      this.renderRecommendations();
+      if (this.currentUserRole === "admin") window.patientDirectory?.openPatient(personId);
+    } catch (error) {
+      console.error("Error saving date of birth:", error);
+      showToast("Error saving date of birth", "error");
+    }
+  }
+
   // ===========================
   // CRUD OPERATIONS (ADMIN ONLY)
   // ===========================
@@ -653,29 +1374,53 @@ class Dashboard {
 
       console.log("Adding vaccination record:", formData);
 
-      // Insert vaccination record (admin adds to their own account for now)
-      const { data: newRecord, error: recordError } = await supabase
-        .from("vaccination_records")
-        .insert([{
-          user_id: this.currentUser.id,
-          vaccine_name: formData.vaccine_name,
-          dose_number: parseInt(formData.dose_number),
-          date_given: formData.date_given,
-          next_due: formData.next_due || null,
-        }])
-        .select()
-        .single();
+      // The id is picked here so a queued retry can't add the record twice
+      const recordId = crypto.randomUUID();
+      const fields = this.getRecordFields(formData);
+
+      // Insert vaccination record into the selected patient's account
+      const { data: newRecord, error: recordError } = window.sync?.isOffline()
+        ? { data: null, error: new Error("Offline") }
+        : await supabase
+          .from("vaccination_records")
+          .insert([{ id: recordId, ...fields }])
+          .select()
+          .single();
+
+      // Offline, or the request never reached the server: save it for later
+      if (recordError && window.sync && isNetworkError(recordError)) {
+        const completing = this.completingReminder?.userId === formData.user_id
+          ? this.completingReminder.id
+          : null;
+        await window.sync.queueInsert(recordId, fields, completing);
+        await this.finishOfflineChange("add-vaccine-modal", formData.attachments);
+        return;
+      }
 
       if (recordError) throw recordError;
 
       // Create reminder if next due date is provided
       if (formData.next_due && newRecord) {
-        await this.createReminder(newRecord.id, formData.next_due);
+        await this.createReminder(newRecord.id, formData.next_due, newRecord.user_id);
+      }
+
+      // Close the reminder this dose was recorded from
+      if (this.completingReminder?.userId === newRecord.user_id) {
+        await this.completeReminder(this.completingReminder.id, newRecord.id);
       }
 
+      // Upload any scanned cards or documents
+      await window.attachments?.uploadFiles(newRecord, formData.attachments);
+
       // Refresh data and UI
       await this.refreshDashboard();
-      showToast("Vaccination record added successfully!", "success");
+      const patientName = this.getPatientLabel(formData.user_id);
+      showToast(
+        patientName
+          ? `Vaccination record added for ${patientName}!`
+          : "Vaccination record added successfully!",
+        "success"
+      );
       window.modals?.closeModal("add-vaccine-modal");
 
     } catch (error) {
@@ -713,27 +1458,44 @@ class Dashboard {
   populateEditForm(record) {
     const elements = {
       recordId: document.getElementById("edit-record-id"),
+      patient: document.getElementById("edit-patient-select"),
       vaccineName: document.getElementById("edit-vaccine-name"),
       doseNumber: document.getElementById("edit-dose-number"),
       dateGiven: document.getElementById("edit-date-given"),
       nextDue: document.getElementById("edit-next-due"),
+      overrideReason: document.getElementById("edit-override-reason"),
+      lotNumber: document.getElementById("edit-lot-number"),
+      manufacturer: document.getElementById("edit-manufacturer"),
+      expirationDate: document.getElementById("edit-expiration-date"),
+      route: document.getElementById("edit-route"),
+      site: document.getElementById("edit-admin-site"),
+      provider: document.getElementById("edit-provider"),
+      location: document.getElementById("edit-location"),
       customGroup: document.getElementById("edit-custom-vaccine-group"),
       customName: document.getElementById("edit-custom-vaccine-name")
     };
 
     // Set basic values
     if (elements.recordId) elements.recordId.value = record.id;
+    if (elements.patient) elements.patient.value = record.user_id || "";
     if (elements.doseNumber) elements.doseNumber.value = record.dose_number;
     if (elements.dateGiven) elements.dateGiven.value = record.date_given;
     if (elements.nextDue) elements.nextDue.value = record.next_due || "";
+    if (elements.overrideReason) {
+      elements.overrideReason.value = record.next_due_override_reason || "";
+    }
 
-    // Handle vaccine name (standard vs custom)
-    const standardVaccines = [
-      "COVID-19", "Influenza", "Hepatitis B", "MMR", "Tdap", 
-      "HPV", "Pneumococcal", "Meningococcal", "Varicella", "Shingles"
-    ];
-
-    if (standardVaccines.includes(record.vaccine_name)) {
+    // Clinical details
+    if (elements.lotNumber) elements.lotNumber.value = record.lot_number || "";
+    if (elements.manufacturer) elements.manufacturer.value = record.manufacturer || "";
+    if (elements.expirationDate) elements.expirationDate.value = record.expiration_date || "";
+    if (elements.route) elements.route.value = record.route || "";
+    if (elements.site) elements.site.value = record.site || "";
+    if (elements.provider) elements.provider.value = record.provider || "";
+    if (elements.location) elements.location.value = record.location || "";
+
+    // Handle vaccine name (catalog vs custom)
+    if (window.vaccineCatalog?.isCatalogVaccine(record.vaccine_name)) {
       if (elements.vaccineName) elements.vaccineName.value = record.vaccine_name;
       if (elements.customGroup) elements.customGroup.style.display = "none";
       if (elements.customName) {
@@ -749,6 +1511,12 @@ class Dashboard {
         elements.customName.required = true;
       }
     }
+
+    // Show the schedule suggestion without replacing the saved date
+    this.refreshNextDueSuggestion("edit-");
+
+    // List existing attachments
+    window.attachments?.renderEditList(record);
   }
 
   // UPDATE VACCINATION RECORD
@@ -769,21 +1537,33 @@ class Dashboard {
 
       console.log("Updating vaccination record:", recordId, formData);
 
+      const fields = this.getRecordFields(formData);
+
       // Update vaccination record
-      const { error: updateError } = await supabase
-        .from("vaccination_records")
-        .update({
-          vaccine_name: formData.vaccine_name,
-          dose_number: parseInt(formData.dose_number),
-          date_given: formData.date_given,
-          next_due: formData.next_due || null,
-        })
-        .eq("id", recordId);
+      const { error: updateError } = window.sync?.isOffline()
+        ? { error: new Error("Offline") }
+        : await supabase
+          .from("vaccination_records")
+          .update(fields)
+          .eq("id", recordId);
+
+      if (updateError && window.sync && isNetworkError(updateError)) {
+        const record = this.records.find(r => r.id === recordId);
+        await window.sync.queueUpdate(record, fields);
+        await this.finishOfflineChange("edit-vaccine-modal", formData.attachments);
+        return;
+      }
 
       if (updateError) throw updateError;
 
       // Handle reminder updates
-      await this.updateRecordReminder(recordId, formData.next_due);
+      await this.updateRecordReminder(recordId, formData.next_due, formData.user_id);
+
+      // Upload any newly added scanned cards or documents
+      await window.attachments?.uploadFiles(
+        { id: recordId, user_id: formData.user_id },
+        formData.attachments
+      );
 
       // Refresh data and UI
       await this.refreshDashboard();
@@ -830,19 +1610,31 @@ class Dashboard {
         return;
       }
 
-      console.log("Deleting vaccination record:", recordId);
+      console.log("Moving vaccination record to the recycle bin:", recordId);
 
-      // Delete the vaccination record (reminders will be deleted via cascade)
-      const { error } = await supabase
-        .from("vaccination_records")
-        .delete()
-        .eq("id", recordId);
+      // Soft delete the record (its reminders follow via trigger)
+      const { error } = window.sync?.isOffline()
+        ? { error: new Error("Offline") }
+        : await supabase
+          .from("vaccination_records")
+          .update({ deleted_at: new Date().toISOString() })
+          .eq("id", recordId);
+
+      if (error && window.sync && isNetworkError(error)) {
+        await window.sync.queueDelete(this.records.find(r => r.id === recordId));
+        await this.finishOfflineChange("delete-modal");
+        if (window.modals) window.modals.currentDeleteId = null;
+        return;
+      }
 
       if (error) throw error;
 
       // Refresh data and UI
       await this.refreshDashboard();
-      showToast("Vaccination record deleted successfully!", "success");
+      showToast("Vaccination record moved to the recycle bin", "success", 10000, {
+        label: "Undo",
+        onClick: () => window.recycleBin?.restoreRecord(recordId),
+      });
       window.modals?.closeModal("delete-modal");
       if (window.modals) window.modals.currentDeleteId = null;
 
@@ -852,15 +1644,104 @@ class Dashboard {
     }
   }
 
+  // Offline changes show up straight away and sync once the connection is back.
+  // Attachments need the storage bucket, so they can't wait in the queue.
+  async finishOfflineChange(modalId, attachments = []) {
+    await this.refreshDashboard();
+    window.modals?.closeModal(modalId);
+
+    showToast(
+      attachments?.length
+        ? "Saved offline; attachments weren't kept. Add them again once you're back online"
+        : "Saved offline. It will sync once the connection is back",
+      attachments?.length ? "warning" : "info"
+    );
+  }
+
+  // IMPORTED NEXT DUE DATES
+  // Entries without a next due date get the schedule's, as the add form
+  // proposes, unless a later dose of the same vaccine for the same person is
+  // among the entries; those are saved as followed, with followedReason as
+  // their override reason. Shared by the CSV, FHIR and health card imports.
+  applyNextDue(entries, followedReason) {
+    entries.forEach(entry => {
+      const { formData } = entry;
+      if (formData.next_due) return;
+
+      const suggestion = this.getNextDueSuggestion(formData);
+      if (!suggestion?.nextDue) return;
+
+      const followed = entries.some(other =>
+        other !== entry &&
+        other.formData.user_id === formData.user_id &&
+        other.formData.vaccine_name === formData.vaccine_name &&
+        other.formData.date_given > formData.date_given
+      );
+
+      if (followed) {
+        formData.next_due_override_reason = formData.next_due_override_reason || followedReason;
+      } else {
+        formData.next_due = suggestion.nextDue;
+      }
+    });
+  }
+
+  // BULK INSERT
+  // Saves already-validated form data in batches, with a reminder for every
+  // record that has a next due date. Used by the CSV, FHIR and health card
+  // imports: their previews have already applied the add form's validation
+  // and next due rules, a card usually carries a whole series, and failed
+  // rows stay in the preview to retry. Imports need a connection anyway, so
+  // nothing here is queued for offline sync.
+  async insertRecords(formDataList, batchSize = 100) {
+    if (!this.checkAdminPermission("import vaccination records")) {
+      return { imported: 0, failed: formDataList.length };
+    }
+
+    let imported = 0;
+    let failed = 0;
+
+    for (let i = 0; i < formDataList.length; i += batchSize) {
+      const batch = formDataList
+        .slice(i, i + batchSize)
+        .map(formData => this.getRecordFields(formData));
+
+      try {
+        const { data: records, error } = await supabase
+          .from("vaccination_records")
+          .insert(batch)
+          .select("id, user_id, next_due");
+
+        if (error) throw error;
+        imported += records.length;
+
+        const reminders = records
+          .filter(r => r.next_due)
+          .map(r => ({ user_id: r.user_id, record_id: r.id, due_date: r.next_due }));
+
+        if (reminders.length > 0) {
+          const { error: reminderError } = await supabase.from("reminders").insert(reminders);
+          // Don't fail the import for reminder creation failure
+          if (reminderError) console.error("Error creating imported reminders:", reminderError);
+        }
+      } catch (error) {
+        console.error("Error importing batch:", error);
+        failed += batch.length;
+      }
+    }
+
+    return { imported, failed };
+  }
+
   // ===========================
   // REMINDER MANAGEMENT
   // ===========================
-  async createReminder(recordId, dueDate) {
+  async createReminder(recordId, dueDate, userId = this.currentUser.id) {
     try {
       const { error } = await supabase
         .from("reminders")
         .insert([{
-          user_id: this.currentUser.id,
+          user_id: userId,
           record_id: recordId,
           due_date: dueDate,
         }]);
@@ -876,14 +1757,13 @@ class Dashboard {
     }
   }
 
-  async updateRecordReminder(recordId, nextDueDate) {
+  async updateRecordReminder(recordId, nextDueDate, userId) {
     try {
       // Check for existing reminder
       const { data: existingReminder } = await supabase
         .from("reminders")
         .select("id")
         .eq("record_id", recordId)
-        .eq("sent", false)
         .single();
 
       if (nextDueDate) {
@@ -891,12 +1771,19 @@ class Dashboard {
           // Update existing reminder
           await supabase
             .from("reminders")
-            .update({ due_date: nextDueDate })
+            .update({
+              due_date: nextDueDate,
+              user_id: userId,
+              sent: false,
+              sent_at: null,
+              snoozed_until: null,
+              dismissed_at: null,
+            })
             .eq("record_id", recordId);
           console.log("Reminder updated");
         } else {
           // Create new reminder
-          await this.createReminder(recordId, nextDueDate);
+          await this.createReminder(recordId, nextDueDate, userId);
         }
       } else if (existingReminder) {
         // Remove reminder if no next due date
@@ -912,21 +1799,151 @@ class Dashboard {
     }
   }
 
+  // Patients and account holders can't update reminders directly, so these
+  // go through functions that check access. days = 0 stops snoozing.
+  async snoozeReminder(reminderId, days) {
+    try {
+      let until = null;
+      if (days > 0) {
+        const date = new Date();
+        date.setDate(date.getDate() + days);
+        until = toDateString(date);
+      }
+
+      const { error } = await supabase.rpc("snooze_reminder", {
+        reminder_id: reminderId,
+        until,
+      });
+
+      if (error) throw error;
+
+      await this.refreshReminderViews();
+      showToast(until ? `Reminder snoozed until ${formatDate(until)}` : "Reminder is no longer snoozed", "success");
+    } catch (error) {
+      console.error("Error snoozing reminder:", error);
+      showToast("Error snoozing reminder", "error");
+      await this.refreshReminderViews();
+    }
+  }
+
+  async dismissReminder(reminderId, dismissed = true) {
+    try {
+      const { error } = await supabase.rpc("dismiss_reminder", {
+        reminder_id: reminderId,
+        dismissed,
+      });
+
+      if (error) throw error;
+
+      await this.refreshReminderViews();
+      if (dismissed) {
+        showToast("Reminder dismissed", "success", 10000, {
+          label: "Undo",
+          onClick: () => this.dismissReminder(reminderId, false),
+        });
+      } else {
+        showToast("Reminder restored", "success");
+      }
+    } catch (error) {
+      console.error("Error dismissing reminder:", error);
+      showToast(dismissed ? "Error dismissing reminder" : "Error restoring reminder", "error");
+    }
+  }
+
+  // Opens the add form prefilled with the dose the reminder is for; saving
+  // it completes the reminder (see addRecord)
+  recordReminderDose(reminderId) {
+    if (!this.checkAdminPermission("record doses")) return;
+
+    const reminder = this.reminders.find(r => r.id === reminderId);
+    if (!reminder?.vaccination_records) {
+      showToast("Reminder not found", "error");
+      return;
+    }
+
+    const vaccineName = reminder.vaccination_records.vaccine_name;
+    const isCatalogVaccine = window.vaccineCatalog?.isCatalogVaccine(vaccineName);
+    const fields = {
+      "patient-select": reminder.user_id,
+      "vaccine-name": isCatalogVaccine ? vaccineName : "Other",
+      "custom-vaccine-name": isCatalogVaccine ? "" : vaccineName,
+      "dose-number": (reminder.vaccination_records.dose_number || 1) + 1,
+      "date-given": toDateString(),
+    };
+
+    // The add form sits below these modals
+    window.modals?.closeModal("reminders-modal");
+    window.modals?.closeModal("patient-history-modal");
+    window.modals?.openModal("add-vaccine-modal");
+
+    Object.entries(fields).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (input) input.value = value;
+    });
+    this.toggleCustomVaccineInput("custom-vaccine-group", "custom-vaccine-name", fields["vaccine-name"]);
+    this.refreshNextDueSuggestion("", { apply: true });
+
+    this.completingReminder = { id: reminder.id, userId: reminder.user_id };
+  }
+
+  async completeReminder(reminderId, recordId) {
+    try {
+      const { error } = await supabase
+        .from("reminders")
+        .update({
+          completed_at: new Date().toISOString(),
+          completed_record_id: recordId,
+        })
+        .eq("id", reminderId);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error("Error completing reminder:", error);
+      // The dose is saved either way; the reminder can be dismissed by hand
+      showToast("Dose recorded, but its reminder could not be closed", "warning");
+    }
+  }
+
+  // Reminder cards also appear in an open patient history
+  async refreshReminderViews() {
+    await this.refreshDashboard();
+
+    const historyModal = document.getElementById("patient-history-modal");
+    const patientId = window.patientDirectory?.currentPatientId;
+    if (patientId && historyModal?.classList.contains("show")) {
+      await window.patientDirectory.openPatient(patientId);
+    }
+  }
+
   // ===========================
   // FORM VALIDATION
   // ===========================
   validateVaccineFormData(formData) {
+    const error = this.getVaccineFormError(formData);
+    if (error) {
+      showToast(error, "error");
+      return false;
+    }
+    return true;
+  }
+
+  // Returns the first rule a record breaks, or null. Shared with the CSV
+  // import so imported rows follow the same rules as the forms.
+  getVaccineFormError(formData) {
+    // Records always belong to a patient
+    if (!formData.user_id) {
+      return "Please select a patient";
+    }
+
     // Check required fields
     if (!formData.vaccine_name || !formData.dose_number || !formData.date_given) {
-      showToast("Please fill in all required fields", "error");
-      return false;
+      return "Please fill in all required fields";
     }
 
     // Validate dose number is positive integer
     const doseNum = parseInt(formData.dose_number);
     if (isNaN(doseNum) || doseNum < 1) {
-      showToast("Dose number must be a positive integer", "error");
-      return false;
+      return "Dose number must be a positive integer";
     }
 
     // Validate date is not in the future
@@ -935,20 +1952,33 @@ class Dashboard {
     today.setHours(23, 59, 59, 999); // End of today
     
     if (givenDate > today) {
-      showToast("Date given cannot be in the future", "error");
-      return false;
+      return "Date given cannot be in the future";
     }
 
     // Validate next due date is after given date
     if (formData.next_due) {
       const nextDueDate = new Date(formData.next_due);
       if (nextDueDate <= givenDate) {
-        showToast("Next due date must be after the date given", "error");
-        return false;
+        return "Next due date must be after the date given";
       }
     }
 
-    return true;
+    // The lot must not have expired before the dose was given
+    if (formData.expiration_date && new Date(formData.expiration_date) < givenDate) {
+      return "Lot expiration date is before the date given";
+    }
+
+    // Attachments must be images or PDFs within the size limit
+    const attachmentError = window.attachments?.validateFiles(formData.attachments || []);
+    if (attachmentError) return attachmentError;
+
+    // Departing from the schedule's suggestion needs a reason on record
+    const suggestion = this.getNextDueSuggestion(formData);
+    if (this.isNextDueOverride(formData, suggestion) && !formData.next_due_override_reason) {
+      return "Please give a reason for changing the suggested next due date";
+    }
+
+    return null;
   }
 
   // ===========================
@@ -993,6 +2023,7 @@ class Dashboard {
       this.updateStats();
       this.renderRecords();
       this.renderReminders();
+      this.renderRecommendations();
       console.log("Dashboard refreshed successfully");
     } catch (error) {
       console.error("Error refreshing dashboard:", error);
@@ -1000,6 +2031,11 @@ class Dashboard {
     }
   }
 
+  // Offline cache key for this user's copy of a query
+  cacheKey(...parts) {
+    return [this.currentUser?.id, ...parts].join(":");
+  }
+
   // Public method to get current user role (for external access)
   getCurrentUserRole() {
     return this.currentUserRole;
@@ -1031,6 +2067,9 @@ class Dashboard {
     this.records = [];
     this.reminders = [];
     this.filteredRecords = [];
+    this.patients = [];
+    this.people = [];
+    this.activePersonId = null;
     this.currentUser = null;
     this.currentUserRole = "user";
     this.isInitialized = false;
@@ -0,0 +1,150 @@
+import { showToast, downloadFile, getVaccineStatus } from "./utils.js";
+import { toCsv } from "./csv.js";
+
+// Columns written for each record. `key` names the JSON property and
+// `header` the CSV column; headers match the CSV import's column aliases so
+// an export can be imported again. Patient columns are only written for
+// admins, and JSON-only columns are left out of the CSV.
+const RECORD_COLUMNS = [
+  { key: "id", header: "ID", jsonOnly: true, value: r => r.id },
+  { key: "patient_id", header: "Patient ID", adminOnly: true, jsonOnly: true, value: r => r.user_id },
+  { key: "patient", header: "Patient", adminOnly: true, value: r => r.profiles?.full_name || "" },
+  { key: "patient_email", header: "Patient Email", adminOnly: true, value: r => r.profiles?.email || "" },
+  { key: "vaccine_name", header: "Vaccine", value: r => r.vaccine_name },
+  { key: "dose_number", header: "Dose", value: r => r.dose_number },
+  { key: "date_given", header: "Date Given", value: r => r.date_given },
+  { key: "next_due", header: "Next Due", value: r => r.next_due },
+  { key: "status", header: "Status", value: r => getVaccineStatus(r.next_due).text },
+  { key: "series_complete", header: "Series Complete", value: r => !!r.series_complete },
+  { key: "next_due_override_reason", header: "Override Reason", value: r => r.next_due_override_reason },
+  { key: "lot_number", header: "Lot Number", value: r => r.lot_number },
+  { key: "manufacturer", header: "Manufacturer", value: r => r.manufacturer },
+  { key: "expiration_date", header: "Expiration Date", value: r => r.expiration_date },
+  { key: "route", header: "Route", value: r => r.route },
+  { key: "site", header: "Site", value: r => r.site },
+  { key: "provider", header: "Provider", value: r => r.provider },
+  { key: "location", header: "Location", value: r => r.location },
+];
+
+const REMINDER_COLUMNS = [
+  { key: "id", header: "ID", jsonOnly: true, value: r => r.id },
+  { key: "record_id", header: "Record ID", jsonOnly: true, value: r => r.record_id },
+  { key: "patient_id", header: "Patient ID", adminOnly: true, jsonOnly: true, value: r => r.user_id },
+  { key: "patient", header: "Patient", adminOnly: true, value: r => r.profiles?.full_name || "" },
+  { key: "patient_email", header: "Patient Email", adminOnly: true, value: r => r.profiles?.email || "" },
+  { key: "vaccine_name", header: "Vaccine", value: r => r.vaccination_records?.vaccine_name || "" },
+  { key: "dose_number", header: "Dose", value: r => r.vaccination_records?.dose_number ?? "" },
+  { key: "due_date", header: "Due Date", value: r => r.due_date },
+  { key: "status", header: "Status", value: r => getVaccineStatus(r.due_date).text },
+];
+
+class DataExport {
+  constructor() {
+    this.init();
+  }
+
+  init() {
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document
+      .getElementById("export-btn")
+      ?.addEventListener("click", () => this.open());
+
+    document
+      .getElementById("export-csv-btn")
+      ?.addEventListener("click", () => this.exportCsv());
+
+    document
+      .getElementById("export-json-btn")
+      ?.addEventListener("click", () => this.exportJson());
+  }
+
+  open() {
+    const dashboard = window.dashboard;
+    const summary = document.getElementById("export-summary");
+
+    if (summary && dashboard) {
+      const searchTerm = document.getElementById("search-input")?.value.trim();
+      summary.textContent =
+        `${dashboard.filteredRecords.length} record${dashboard.filteredRecords.length === 1 ? "" : "s"}` +
+        `${searchTerm ? ` matching "${searchTerm}"` : ""} and ` +
+        `${dashboard.reminders.length} reminder${dashboard.reminders.length === 1 ? "" : "s"} will be exported.`;
+    }
+
+    window.modals?.openModal("export-modal");
+  }
+
+  // ===========================
+  // EXPORT FORMATS
+  // ===========================
+  // Records and reminders go to separate files since they have different
+  // columns
+  exportCsv() {
+    const { records, reminders } = this.getData();
+    const stamp = this.getDateStamp();
+
+    downloadFile(`vaxtracker-records-${stamp}.csv`, this.toCsv(RECORD_COLUMNS, records), "text/csv");
+    downloadFile(`vaxtracker-reminders-${stamp}.csv`, this.toCsv(REMINDER_COLUMNS, reminders), "text/csv");
+
+    showToast(`Exported ${records.length} records and ${reminders.length} reminders`, "success");
+    window.modals?.closeModal("export-modal");
+  }
+
+  exportJson() {
+    const { records, reminders } = this.getData();
+    const data = {
+      exported_at: new Date().toISOString(),
+      records: this.toObjects(RECORD_COLUMNS, records),
+      reminders: this.toObjects(REMINDER_COLUMNS, reminders),
+    };
+
+    downloadFile(
+      `vaxtracker-export-${this.getDateStamp()}.json`,
+      JSON.stringify(data, null, 2),
+      "application/json"
+    );
+
+    showToast(`Exported ${records.length} records and ${reminders.length} reminders`, "success");
+    window.modals?.closeModal("export-modal");
+  }
+
+  // ===========================
+  // HELPERS
+  // ===========================
+  // Records respect the search box; reminders are the ones on the dashboard
+  getData() {
+    const dashboard = window.dashboard;
+    return {
+      records: dashboard?.filteredRecords || [],
+      reminders: dashboard?.reminders || [],
+    };
+  }
+
+  getColumns(columns, { csv = false } = {}) {
+    const isAdmin = window.dashboard?.getCurrentUserRole() === "admin";
+    return columns.filter(c => (isAdmin || !c.adminOnly) && !(csv && c.jsonOnly));
+  }
+
+  toCsv(columns, rows) {
+    const visible = this.getColumns(columns, { csv: true });
+    return toCsv([
+      visible.map(c => c.header),
+      ...rows.map(row => visible.map(c => c.value(row))),
+    ]);
+  }
+
+  toObjects(columns, rows) {
+    const visible = this.getColumns(columns);
+    return rows.map(row =>
+      Object.fromEntries(visible.map(c => [c.key, c.value(row) ?? null]))
+    );
+  }
+
+  getDateStamp() {
+    return new Date().toISOString().split("T")[0];
+  }
+}
+
+export default DataExport;
@@ -0,0 +1,152 @@
+import { supabase } from "./supabase-client.js";
+import { showToast, formatDate } from "./utils.js";
+
+class FamilyManager {
+  constructor() {
+    this.init();
+  }
+
+  init() {
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document
+      .getElementById("family-btn")
+      ?.addEventListener("click", () => this.open());
+
+    document
+      .getElementById("dependent-form")
+      ?.addEventListener("submit", (e) => this.handleAddDependent(e));
+  }
+
+  open() {
+    this.renderList();
+    window.modals?.openModal("family-modal");
+  }
+
+  renderList() {
+    const container = document.getElementById("dependents-list");
+    if (!container) return;
+
+    const dependents = window.dashboard?.getDependents() || [];
+
+    if (dependents.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <i class="fas fa-users"></i>
+          <h3>No dependents yet</h3>
+          <p>Add a child or family member to track their vaccinations under your account.</p>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = dependents
+      .map(dependent => `
+        <div class="dependent-item">
+          <div class="dependent-info">
+            <h4>${dependent.full_name}</h4>
+            ${dependent.relationship || dependent.date_of_birth ? `
+              <p>${[dependent.relationship, dependent.date_of_birth && `born ${formatDate(dependent.date_of_birth)}`].filter(Boolean).join(" · ")}</p>
+            ` : ""}
+          </div>
+          <div class="record-actions">
+            <button
+              class="btn-icon"
+              type="button"
+              onclick="window.family.viewDependent('${dependent.id}')"
+              title="View Records"
+              aria-label="View dependent's records"
+            >
+              <i class="fas fa-eye"></i>
+            </button>
+            <button
+              class="btn-icon btn-danger"
+              type="button"
+              onclick="window.family.removeDependent('${dependent.id}')"
+              title="Remove Dependent"
+              aria-label="Remove dependent"
+            >
+              <i class="fas fa-trash"></i>
+            </button>
+          </div>
+        </div>
+      `)
+      .join("");
+  }
+
+  async handleAddDependent(e) {
+    e.preventDefault();
+
+    const dashboard = window.dashboard;
+    const name = document.getElementById("dependent-name")?.value.trim();
+    const relationship = document.getElementById("dependent-relationship")?.value || null;
+    const dateOfBirth = document.getElementById("dependent-dob")?.value || null;
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+
+    if (!name) {
+      showToast("Please enter the dependent's name", "error");
+      return;
+    }
+
+    try {
+      if (submitBtn) submitBtn.disabled = true;
+
+      const { error } = await supabase.from("profiles").insert([{
+        full_name: name,
+        relationship,
+        date_of_birth: dateOfBirth,
+        managed_by: dashboard.getCurrentUser().id,
+        role: "user",
+      }]);
+
+      if (error) throw error;
+
+      showToast(`${name} added to your family`, "success");
+      e.target.reset();
+      await dashboard.loadPeople();
+      this.renderList();
+    } catch (error) {
+      console.error("Error adding dependent:", error);
+      showToast("Error adding dependent", "error");
+    } finally {
+      if (submitBtn) submitBtn.disabled = false;
+    }
+  }
+
+  async viewDependent(dependentId) {
+    window.modals?.closeModal("family-modal");
+    await window.dashboard?.switchPerson(dependentId);
+    window.dashboard?.renderPersonSwitcher();
+  }
+
+  async removeDependent(dependentId) {
+    const dashboard = window.dashboard;
+    const dependent = dashboard?.getDependents().find(d => d.id === dependentId);
+    if (!dependent) {
+      showToast("Dependent not found", "error");
+      return;
+    }
+
+    // Records and reminders belong to the dependent's profile and go with it
+    if (!window.confirm(`Remove ${dependent.full_name} and all of their vaccination records?`)) {
+      return;
+    }
+
+    try {
+      const { error } = await supabase.from("profiles").delete().eq("id", dependentId);
+      if (error) throw error;
+
+      showToast(`${dependent.full_name} removed`, "success");
+      await dashboard.loadPeople();
+      await dashboard.refreshDashboard();
+      this.renderList();
+    } catch (error) {
+      console.error("Error removing dependent:", error);
+      showToast("Error removing dependent", "error");
+    }
+  }
+}
+
+export default FamilyManager;
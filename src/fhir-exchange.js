@@ -0,0 +1,245 @@
+import { showToast, formatDate, downloadFile, escapeHtml } from "./utils.js";
+import { buildPatientBundle, parseFhirBundle } from "./fhir.js";
+
+class FhirExchange {
+  constructor() {
+    this.patientId = null;
+    this.file = null;
+    this.preview = [];
+    this.skipped = [];
+    this.init();
+  }
+
+  init() {
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document
+      .getElementById("fhir-import-file")
+      ?.addEventListener("change", (e) => this.handleFile(e.target.files[0]));
+
+    document
+      .getElementById("fhir-import-confirm-btn")
+      ?.addEventListener("click", () => this.runImport());
+  }
+
+  // ===========================
+  // EXPORT
+  // ===========================
+  async exportPatient(patientId) {
+    const dashboard = window.dashboard;
+    if (!dashboard?.checkAdminPermission("export FHIR bundles")) return;
+
+    const patient = dashboard.patients.find(p => p.id === patientId);
+    if (!patient) {
+      showToast("Patient not found", "error");
+      return;
+    }
+
+    try {
+      const records = await dashboard.loadVaccinationRecords(patientId);
+      const { bundle, uncoded } = buildPatientBundle(
+        patient,
+        records,
+        (name) => window.vaccineCatalog?.findByName(name)
+      );
+
+      const fileName = (patient.full_name || patient.email || "patient")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-");
+      downloadFile(`${fileName}-fhir-bundle.json`, JSON.stringify(bundle, null, 2), "application/fhir+json");
+
+      if (uncoded.length > 0) {
+        const names = [...new Set(uncoded.map(r => r.vaccine_name))].join(", ");
+        showToast(`Exported ${records.length} immunizations; no CVX code for ${names}, sent as text only`, "warning", 8000);
+      } else {
+        showToast(`Exported ${records.length} immunizations`, "success");
+      }
+    } catch (error) {
+      console.error("Error exporting FHIR bundle:", error);
+      showToast("Error exporting FHIR bundle", "error");
+    }
+  }
+
+  // ===========================
+  // IMPORT
+  // ===========================
+  openImport(patientId) {
+    const dashboard = window.dashboard;
+    if (!dashboard?.checkAdminPermission("import FHIR bundles")) return;
+
+    this.patientId = patientId;
+    this.file = null;
+    this.preview = [];
+    this.skipped = [];
+
+    const target = document.getElementById("fhir-import-patient");
+    if (target) target.textContent = dashboard.getPatientLabel(patientId);
+
+    const fileInput = document.getElementById("fhir-import-file");
+    if (fileInput) fileInput.value = "";
+
+    this.renderPreview();
+    window.modals?.openModal("fhir-import-modal");
+  }
+
+  async handleFile(file) {
+    if (!file) return;
+
+    const dashboard = window.dashboard;
+    this.file = file;
+
+    try {
+      const { patients, immunizations, skipped } = parseFhirBundle(
+        JSON.parse(await file.text()),
+        (code) => window.vaccineCatalog?.findByCode(code)
+      );
+
+      if (patients.length > 1) {
+        showToast("The bundle contains more than one patient; import one patient at a time", "error");
+        return;
+      }
+
+      if (immunizations.length === 0) {
+        showToast("The bundle has no immunizations to import", "error");
+        return;
+      }
+
+      const existing = await dashboard.loadVaccinationRecords(this.patientId);
+      const seen = new Set(existing.map(r => this.getDuplicateKey(r)));
+
+      const entries = immunizations.map(item => ({
+        ...item,
+        formData: { ...item.formData, user_id: this.patientId },
+      }));
+      this.applyNextDue(entries.filter(e => !e.error));
+
+      this.preview = entries.map(item => {
+        const { formData } = item;
+        const entry = { ...item, status: "ready", message: "Ready" };
+
+        const error = item.error || dashboard.getVaccineFormError(formData);
+        if (error) return { ...entry, status: "error", message: error };
+
+        const key = this.getDuplicateKey(formData);
+        if (seen.has(key)) {
+          return { ...entry, status: "duplicate", message: "Already recorded; will be skipped" };
+        }
+        seen.add(key);
+
+        return entry;
+      });
+
+      this.skipped = skipped;
+      this.renderPreview();
+    } catch (error) {
+      console.error("Error reading FHIR bundle:", error);
+      showToast(error instanceof SyntaxError ? "The file is not valid JSON" : error.message, "error");
+    }
+  }
+
+  // The bundle's own recommendation wins; the other doses get the
+  // schedule's next due date as the add form proposes
+  applyNextDue(entries) {
+    const dashboard = window.dashboard;
+
+    entries.forEach(({ formData }) => {
+      if (!formData.next_due) return;
+
+      const suggestion = dashboard.getNextDueSuggestion(formData);
+      if (dashboard.isNextDueOverride(formData, suggestion)) {
+        formData.next_due_override_reason = "Next due date from the bundle's recommendation";
+      }
+    });
+
+    dashboard.applyNextDue(entries, "Next dose recorded in the same bundle");
+  }
+
+  getDuplicateKey(record) {
+    return [
+      record.vaccine_name.toLowerCase(),
+      parseInt(record.dose_number),
+      record.date_given,
+    ].join("|");
+  }
+
+  renderPreview() {
+    const container = document.getElementById("fhir-import-preview");
+    const confirmBtn = document.getElementById("fhir-import-confirm-btn");
+    const ready = this.preview.filter(e => e.status === "ready").length;
+
+    if (confirmBtn) {
+      confirmBtn.disabled = ready === 0;
+      confirmBtn.innerHTML = `<i class="fas fa-file-import"></i> Import ${ready} Record${ready === 1 ? "" : "s"}`;
+    }
+
+    if (!container) return;
+
+    if (this.preview.length === 0) {
+      container.innerHTML = "";
+      return;
+    }
+
+    const skipped = this.skipped;
+
+    container.innerHTML = `
+      <table class="import-preview-table">
+        <thead>
+          <tr>
+            <th>Vaccine</th>
+            <th>Dose</th>
+            <th>Date Given</th>
+            <th>Status</th>
+            <th>Not Imported</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${this.preview.map(entry => `
+            <tr class="import-${entry.status}">
+              <td>${escapeHtml(entry.formData.vaccine_name || "—")}</td>
+              <td>${escapeHtml(entry.formData.dose_number)}</td>
+              <td>${entry.formData.date_given ? formatDate(entry.formData.date_given) : "—"}</td>
+              <td>${escapeHtml(entry.message)}</td>
+              <td>${entry.unmapped.length ? escapeHtml(entry.unmapped.join(", ")) : "—"}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+      ${skipped.length ? `
+        <p class="form-hint">
+          Skipped ${skipped.length} other resource${skipped.length === 1 ? "" : "s"}:
+          ${escapeHtml([...new Set(skipped.map(s => s.resourceType))].join(", "))}
+        </p>
+      ` : ""}
+    `;
+  }
+
+  async runImport() {
+    const dashboard = window.dashboard;
+    if (!dashboard?.checkAdminPermission("import FHIR bundles")) return;
+
+    const ready = this.preview.filter(e => e.status === "ready");
+    if (ready.length === 0) return;
+
+    const confirmBtn = document.getElementById("fhir-import-confirm-btn");
+    if (confirmBtn) confirmBtn.disabled = true;
+
+    const { imported, failed } = await dashboard.insertRecords(ready.map(e => e.formData));
+
+    await dashboard.refreshDashboard();
+
+    if (failed) {
+      showToast(`Imported ${imported} records; ${failed} could not be saved`, "error");
+      // Saved immunizations now show as duplicates, so only the failures can be retried
+      await this.handleFile(this.file);
+      return;
+    }
+
+    showToast(`Imported ${imported} immunization${imported === 1 ? "" : "s"}`, "success");
+    window.modals?.closeModal("fhir-import-modal");
+    window.patientDirectory?.openPatient(this.patientId);
+  }
+}
+
+export default FhirExchange;
@@ -0,0 +1,244 @@
+import { ROUTES, SITES } from "./clinical.js";
+
+// ==========================
+// Code Systems
+// ==========================
+export const FHIR_SYSTEMS = {
+  cvx: "http://hl7.org/fhir/sid/cvx",
+  route: "http://terminology.hl7.org/CodeSystem/v3-RouteOfAdministration",
+  site: "http://terminology.hl7.org/CodeSystem/v2-0163",
+  recommendationStatus: "http://terminology.hl7.org/CodeSystem/immunization-recommendation-status",
+  loinc: "http://loinc.org",
+};
+
+// Route codes are stored as HL7 v3 codes except intradermal, which v3 calls
+// IDINJ
+const ROUTE_TO_FHIR = { ID: "IDINJ" };
+const ROUTE_FROM_FHIR = { IDINJ: "ID" };
+
+// LOINC 30980-7 "Date vaccine due"
+const DATE_DUE_CODE = { system: FHIR_SYSTEMS.loinc, code: "30980-7", display: "Date vaccine due" };
+
+// Immunization elements read on import; anything else present in a resource
+// is reported as not imported
+const IMPORTED_ELEMENTS = [
+  "resourceType", "id", "meta", "text", "status", "patient", "vaccineCode",
+  "occurrenceDateTime", "lotNumber", "expirationDate", "manufacturer", "route",
+  "site", "performer", "location", "protocolApplied", "primarySource",
+];
+
+// ==========================
+// Export
+// ==========================
+export function toFhirPatient(profile) {
+  return {
+    resourceType: "Patient",
+    id: profile.id,
+    ...(profile.full_name && { name: [{ text: profile.full_name }] }),
+    ...(profile.email && { telecom: [{ system: "email", value: profile.email }] }),
+    ...(profile.date_of_birth && { birthDate: profile.date_of_birth }),
+  };
+}
+
+export function toFhirImmunization(record, vaccine, patientReference) {
+  const protocol = { doseNumberPositiveInt: record.dose_number };
+  if (vaccine?.primary_series_doses && record.dose_number <= vaccine.primary_series_doses) {
+    protocol.seriesDosesPositiveInt = vaccine.primary_series_doses;
+  }
+
+  return {
+    resourceType: "Immunization",
+    id: record.id,
+    status: "completed",
+    vaccineCode: {
+      ...(vaccine?.code && {
+        coding: [{ system: FHIR_SYSTEMS.cvx, code: vaccine.code, display: vaccine.name }],
+      }),
+      text: record.vaccine_name,
+    },
+    patient: { reference: patientReference },
+    occurrenceDateTime: record.date_given,
+    primarySource: true,
+    ...(record.lot_number && { lotNumber: record.lot_number }),
+    ...(record.expiration_date && { expirationDate: record.expiration_date }),
+    ...(record.manufacturer && { manufacturer: { display: record.manufacturer } }),
+    ...(record.route && {
+      route: { coding: [{ system: FHIR_SYSTEMS.route, code: ROUTE_TO_FHIR[record.route] || record.route }] },
+    }),
+    ...(record.site && {
+      site: { coding: [{ system: FHIR_SYSTEMS.site, code: record.site }] },
+    }),
+    ...(record.provider && { performer: [{ actor: { display: record.provider } }] }),
+    ...(record.location && { location: { display: record.location } }),
+    ...(record.next_due_override_reason && { note: [{ text: record.next_due_override_reason }] }),
+    protocolApplied: [protocol],
+  };
+}
+
+// Next due dates have no place on Immunization, so each one becomes a
+// recommendation pointing back at the dose it follows
+export function toFhirRecommendation(record, vaccine, patientReference, immunizationReference) {
+  return {
+    resourceType: "ImmunizationRecommendation",
+    patient: { reference: patientReference },
+    date: new Date().toISOString(),
+    recommendation: [{
+      vaccineCode: [{
+        ...(vaccine?.code && {
+          coding: [{ system: FHIR_SYSTEMS.cvx, code: vaccine.code, display: vaccine.name }],
+        }),
+        text: record.vaccine_name,
+      }],
+      forecastStatus: {
+        coding: [{ system: FHIR_SYSTEMS.recommendationStatus, code: "due" }],
+      },
+      dateCriterion: [{ code: { coding: [DATE_DUE_CODE] }, value: record.next_due }],
+      doseNumberPositiveInt: record.dose_number + 1,
+      supportingImmunization: [{ reference: immunizationReference }],
+    }],
+  };
+}
+
+// A collection Bundle of one patient, their immunizations and any next due
+// recommendations. Entries reference each other by urn:uuid full URLs.
+// Returns the bundle plus records exported without a CVX code.
+export function buildPatientBundle(patient, records, findVaccine) {
+  const patientUrl = `urn:uuid:${patient.id}`;
+  const entries = [{ fullUrl: patientUrl, resource: toFhirPatient(patient) }];
+  const uncoded = [];
+
+  records.forEach(record => {
+    const vaccine = findVaccine(record.vaccine_name);
+    const immunizationUrl = `urn:uuid:${record.id}`;
+    if (!vaccine?.code) uncoded.push(record);
+
+    entries.push({
+      fullUrl: immunizationUrl,
+      resource: toFhirImmunization(record, vaccine, patientUrl),
+    });
+
+    if (record.next_due) {
+      entries.push({
+        fullUrl: `urn:uuid:${crypto.randomUUID()}`,
+        resource: toFhirRecommendation(record, vaccine, patientUrl, immunizationUrl),
+      });
+    }
+  });
+
+  return {
+    bundle: {
+      resourceType: "Bundle",
+      type: "collection",
+      timestamp: new Date().toISOString(),
+      entry: entries,
+    },
+    uncoded,
+  };
+}
+
+// ==========================
+// Import
+// ==========================
+// Reads a Bundle into record form data (without user_id). Each immunization
+// comes back as { formData, error, unmapped }, where unmapped lists elements
+// that were present but could not be stored. Other resources are returned in
+// `skipped` with a reason.
+export function parseFhirBundle(bundle, findVaccineByCode) {
+  if (bundle?.resourceType !== "Bundle" || !Array.isArray(bundle.entry)) {
+    throw new Error("The file is not a FHIR Bundle");
+  }
+
+  const resources = bundle.entry.map(e => ({ fullUrl: e.fullUrl, resource: e.resource })).filter(e => e.resource);
+  const patients = resources.filter(e => e.resource.resourceType === "Patient").map(e => e.resource);
+  const nextDueByImmunization = getNextDueDates(resources);
+  const immunizations = [];
+  const skipped = [];
+
+  resources.forEach(({ fullUrl, resource }) => {
+    if (resource.resourceType === "Immunization") {
+      const nextDue = nextDueByImmunization[fullUrl] || nextDueByImmunization[`Immunization/${resource.id}`];
+      immunizations.push(fromFhirImmunization(resource, findVaccineByCode, nextDue));
+    } else if (!["Patient", "ImmunizationRecommendation"].includes(resource.resourceType)) {
+      skipped.push({ resourceType: resource.resourceType, reason: "Not an immunization" });
+    }
+  });
+
+  return { patients, immunizations, skipped };
+}
+
+function fromFhirImmunization(resource, findVaccineByCode, nextDue) {
+  const unmapped = Object.keys(resource).filter(key => !IMPORTED_ELEMENTS.includes(key));
+  let error = null;
+
+  if (resource.status !== "completed") {
+    error = `Status is "${resource.status}", only completed immunizations are imported`;
+  }
+
+  // Prefer the catalog's name for a CVX code, then the resource's own text
+  const cvx = resource.vaccineCode?.coding?.find(c => c.system === FHIR_SYSTEMS.cvx)?.code;
+  const vaccine = cvx ? findVaccineByCode(cvx) : null;
+  const vaccineName = vaccine?.name ||
+    resource.vaccineCode?.text ||
+    resource.vaccineCode?.coding?.find(c => c.display)?.display ||
+    "";
+  if (cvx && !vaccine) unmapped.push(`vaccineCode (CVX ${cvx} is not in the catalog)`);
+
+  const protocol = resource.protocolApplied?.[0];
+  const doseNumber = protocol?.doseNumberPositiveInt ?? parseInt(protocol?.doseNumberString);
+  if (!doseNumber) unmapped.push("protocolApplied.doseNumber (defaulted to 1)");
+
+  const routeCode = resource.route?.coding?.find(c => c.system === FHIR_SYSTEMS.route)?.code;
+  const route = ROUTES.find(r => r.code === (ROUTE_FROM_FHIR[routeCode] || routeCode))?.code || "";
+  if (resource.route && !route) unmapped.push("route");
+
+  const siteCode = resource.site?.coding?.find(c => c.system === FHIR_SYSTEMS.site)?.code;
+  const site = SITES.find(s => s.code === siteCode)?.code || "";
+  if (resource.site && !site) unmapped.push("site");
+
+  const performer = resource.performer?.find(p => p.actor?.display)?.actor.display;
+  if (resource.performer && !performer) unmapped.push("performer");
+
+  if (resource.location && !resource.location.display) unmapped.push("location");
+  if (resource.manufacturer && !resource.manufacturer.display) unmapped.push("manufacturer");
+
+  return {
+    id: resource.id,
+    error,
+    unmapped,
+    formData: {
+      vaccine_name: vaccineName,
+      dose_number: String(doseNumber || 1),
+      date_given: (resource.occurrenceDateTime || "").slice(0, 10),
+      next_due: nextDue || "",
+      next_due_override_reason: "",
+      lot_number: resource.lotNumber || "",
+      manufacturer: resource.manufacturer?.display || "",
+      expiration_date: resource.expirationDate || "",
+      route,
+      site,
+      provider: performer || "",
+      location: resource.location?.display || "",
+    },
+  };
+}
+
+// Immunization reference -> next due date, from "due" recommendations
+function getNextDueDates(resources) {
+  const dates = {};
+
+  resources
+    .filter(e => e.resource.resourceType === "ImmunizationRecommendation")
+    .flatMap(e => e.resource.recommendation || [])
+    .forEach(rec => {
+      const due = rec.dateCriterion?.find(c =>
+        c.code?.coding?.some(code => code.system === DATE_DUE_CODE.system && code.code === DATE_DUE_CODE.code)
+      )?.value;
+      if (!due) return;
+
+      (rec.supportingImmunization || []).forEach(ref => {
+        if (ref.reference) dates[ref.reference] = due.slice(0, 10);
+      });
+    });
+
+  return dates;
+}
@@ -0,0 +1,280 @@
+import { showToast, formatDate, escapeHtml } from "./utils.js";
+import { decodeQrPayload, verifyHealthCard, getCardContents } from "./health-card.js";
+
+class HealthCardImport {
+  constructor() {
+    this.card = null;
+    this.preview = [];
+    this.init();
+  }
+
+  init() {
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document
+      .getElementById("scan-card-btn")
+      ?.addEventListener("click", () => this.open());
+
+    document
+      .getElementById("scan-card-read-btn")
+      ?.addEventListener("click", () => this.readCard());
+
+    document
+      .getElementById("scan-card-camera-btn")
+      ?.addEventListener("click", () => {
+        window.healthCards?.startScan("scan-card-video", "scan-card-modal", (text) => {
+          document.getElementById("scan-card-payload").value = text;
+          this.readCard();
+        });
+      });
+
+    document
+      .getElementById("scan-card-image")
+      ?.addEventListener("change", async (e) => {
+        const text = await window.healthCards?.scanImage(e.target.files[0]);
+        if (!text) return;
+        document.getElementById("scan-card-payload").value = text;
+        this.readCard();
+      });
+
+    // Duplicates depend on whose records the card is checked against
+    document
+      .getElementById("scan-card-patient-select")
+      ?.addEventListener("change", () => {
+        if (this.card) this.buildPreview();
+      });
+
+    document
+      .getElementById("scan-card-confirm-btn")
+      ?.addEventListener("click", () => this.runImport());
+  }
+
+  // Opened from the add record form, keeping the patient picked there
+  open() {
+    if (!window.dashboard?.checkAdminPermission("add vaccination records")) return;
+
+    this.card = null;
+    this.preview = [];
+
+    const patientSelect = document.getElementById("scan-card-patient-select");
+    if (patientSelect) {
+      patientSelect.value = document.getElementById("patient-select")?.value || "";
+    }
+
+    ["scan-card-payload", "scan-card-image"].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) input.value = "";
+    });
+
+    const status = document.getElementById("scan-card-status");
+    if (status) status.innerHTML = "";
+
+    this.renderPreview();
+    window.modals?.closeModal("add-vaccine-modal");
+    window.modals?.openModal("scan-card-modal");
+  }
+
+  async readCard() {
+    const text = document.getElementById("scan-card-payload")?.value;
+    const status = document.getElementById("scan-card-status");
+
+    if (!text?.trim()) {
+      showToast("Scan a QR code or paste a health card payload", "error");
+      return;
+    }
+
+    this.card = null;
+    this.preview = [];
+    this.renderPreview();
+
+    try {
+      this.card = await verifyHealthCard(decodeQrPayload(text));
+    } catch (error) {
+      console.error("Error reading health card:", error);
+      if (status) {
+        status.innerHTML = `
+          <div class="verify-status verify-invalid">
+            <i class="fas fa-times-circle"></i>
+            ${escapeHtml(error.message || "The health card could not be read")}
+          </div>
+        `;
+      }
+      return;
+    }
+
+    const { patientName, birthDate } = getCardContents(this.card.payload);
+    if (status) {
+      status.innerHTML = `
+        ${this.renderSignatureStatus(this.card)}
+        <div class="patient-summary">
+          <div>Card holder: <strong>${escapeHtml(patientName || "Unknown")}</strong></div>
+          <div>Date of birth: <strong>${formatDate(birthDate)}</strong></div>
+        </div>
+      `;
+    }
+
+    await this.buildPreview();
+  }
+
+  // Anyone can publish a key and sign a card, so only our own signature is
+  // shown as verified
+  renderSignatureStatus(card) {
+    if (card.verified && card.trusted) {
+      return `<div class="verify-status verify-valid"><i class="fas fa-check-circle"></i> Verified: signed by this clinic</div>`;
+    }
+    if (card.verified) {
+      return `<div class="verify-status verify-warning"><i class="fas fa-exclamation-circle"></i> Valid signature from another issuer (${escapeHtml(card.issuer)}); check the doses against another record before importing</div>`;
+    }
+    return `<div class="verify-status verify-warning"><i class="fas fa-exclamation-circle"></i> Signature not verified (${escapeHtml(card.reason)}); check the doses against another record before importing</div>`;
+  }
+
+  async buildPreview() {
+    const dashboard = window.dashboard;
+    const patientId = document.getElementById("scan-card-patient-select")?.value || "";
+    const { immunizations } = getCardContents(this.card.payload);
+
+    try {
+      const existing = patientId ? await dashboard.loadVaccinationRecords(patientId) : [];
+      const seen = new Set(existing.map(r => this.getDuplicateKey(r)));
+      const entries = immunizations.map(immunization => this.toEntry(immunization, immunizations, patientId));
+      dashboard.applyNextDue(entries.filter(e => !e.error), "Next dose recorded on the same health card");
+
+      this.preview = entries.map(entry => {
+        const error = entry.error || dashboard.getVaccineFormError(entry.formData);
+        if (error) return { ...entry, status: "error", message: error };
+
+        const key = this.getDuplicateKey(entry.formData);
+        if (seen.has(key)) {
+          return { ...entry, status: "duplicate", message: "Already recorded; will be skipped" };
+        }
+        seen.add(key);
+
+        return { ...entry, status: "ready", message: "Ready" };
+      });
+
+      this.renderPreview();
+    } catch (error) {
+      console.error("Error building health card preview:", error);
+      showToast("Error loading the patient's records", "error");
+    }
+  }
+
+  // Maps an Immunization from the card onto the catalog by its CVX code,
+  // in the same shape as ModalManager.getFormData. Doses without a number
+  // are counted from the earlier doses of the same vaccine on the card.
+  toEntry(immunization, immunizations, patientId) {
+    const vaccine = immunization.cvx ? window.vaccineCatalog?.findByCode(immunization.cvx) : null;
+    const label = vaccine?.name || immunization.display || (immunization.cvx ? `CVX ${immunization.cvx}` : "Unknown vaccine");
+
+    let error = null;
+    if (!immunization.cvx) {
+      error = "No CVX code on the card";
+    } else if (!vaccine) {
+      error = `CVX ${immunization.cvx} is not in the vaccine catalog`;
+    } else if (immunization.status && immunization.status !== "completed") {
+      error = `Dose marked ${immunization.status}`;
+    }
+
+    return {
+      label,
+      error,
+      formData: {
+        user_id: patientId,
+        vaccine_name: vaccine?.name || "",
+        dose_number: String(
+          immunization.doseNumber ||
+          immunizations.filter(i => i.cvx === immunization.cvx && i.dateGiven < immunization.dateGiven).length + 1
+        ),
+        date_given: immunization.dateGiven,
+        next_due: "",
+        next_due_override_reason: "",
+        lot_number: immunization.lotNumber || "",
+        provider: immunization.performer || "",
+      },
+    };
+  }
+
+  getDuplicateKey(record) {
+    return [
+      record.vaccine_name.toLowerCase(),
+      parseInt(record.dose_number),
+      record.date_given,
+    ].join("|");
+  }
+
+  renderPreview() {
+    const container = document.getElementById("scan-card-preview");
+    const confirmBtn = document.getElementById("scan-card-confirm-btn");
+    const ready = this.preview.filter(e => e.status === "ready").length;
+
+    if (confirmBtn) {
+      confirmBtn.disabled = ready === 0;
+      confirmBtn.innerHTML = `<i class="fas fa-file-import"></i> Add ${ready} Record${ready === 1 ? "" : "s"}`;
+    }
+
+    if (!container) return;
+
+    if (this.preview.length === 0) {
+      container.innerHTML = "";
+      return;
+    }
+
+    container.innerHTML = `
+      <table class="import-preview-table">
+        <thead>
+          <tr>
+            <th>Vaccine</th>
+            <th>Dose</th>
+            <th>Date Given</th>
+            <th>Next Due</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${this.preview.map(entry => `
+            <tr class="import-${entry.status}">
+              <td>${escapeHtml(entry.label)}</td>
+              <td>${escapeHtml(entry.formData.dose_number)}</td>
+              <td>${entry.formData.date_given ? formatDate(entry.formData.date_given) : "—"}</td>
+              <td>${entry.formData.next_due ? formatDate(entry.formData.next_due) : "—"}</td>
+              <td>${escapeHtml(entry.message)}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    `;
+  }
+
+  async runImport() {
+    const dashboard = window.dashboard;
+    if (!dashboard?.checkAdminPermission("add vaccination records")) return;
+
+    const ready = this.preview.filter(e => e.status === "ready");
+    if (ready.length === 0) return;
+
+    const confirmBtn = document.getElementById("scan-card-confirm-btn");
+    if (confirmBtn) confirmBtn.disabled = true;
+
+    const { imported, failed } = await dashboard.insertRecords(ready.map(e => e.formData));
+
+    await dashboard.refreshDashboard();
+
+    if (failed) {
+      showToast(`Added ${imported} records; ${failed} could not be saved`, "error");
+      // Saved doses now show as duplicates, so only the failures can be retried
+      await this.buildPreview();
+      return;
+    }
+
+    const patientName = dashboard.getPatientLabel(ready[0].formData.user_id);
+    showToast(
+      `Added ${imported} vaccination record${imported === 1 ? "" : "s"}${patientName ? ` for ${patientName}` : ""} from the health card`,
+      "success"
+    );
+    window.modals?.closeModal("scan-card-modal");
+  }
+}
+
+export default HealthCardImport;
@@ -0,0 +1,317 @@
+// Or install with npm (npm install qrcode) and import from "qrcode" when bundling
+import QRCode from "https://cdn.jsdelivr.net/npm/qrcode/+esm";
+import { supabase } from "./supabase-client.js";
+import { showToast, formatDate, escapeHtml } from "./utils.js";
+import { decodeQrPayload, verifyHealthCard, getCardContents } from "./health-card.js";
+
+class HealthCardManager {
+  constructor() {
+    this.scanStream = null;
+    this.init();
+  }
+
+  init() {
+    this.setupEventListeners();
+    this.setupScanSupport();
+  }
+
+  setupEventListeners() {
+    document
+      .getElementById("health-card-btn")
+      ?.addEventListener("click", () => this.issueForActivePerson());
+
+    document
+      .getElementById("verify-card-btn")
+      ?.addEventListener("click", () => this.openVerifier());
+
+    document
+      .getElementById("verify-submit-btn")
+      ?.addEventListener("click", () => this.verifyPayload());
+
+    document
+      .getElementById("verify-scan-btn")
+      ?.addEventListener("click", () => {
+        this.startScan("verify-video", "verify-card-modal", (text) => {
+          document.getElementById("verify-payload").value = text;
+          this.verifyPayload();
+        });
+      });
+
+    document
+      .getElementById("verify-image")
+      ?.addEventListener("change", async (e) => {
+        const text = await this.scanImage(e.target.files[0]);
+        if (!text) return;
+        document.getElementById("verify-payload").value = text;
+        this.verifyPayload();
+      });
+  }
+
+  // Camera and image scanning need the BarcodeDetector API; without it the
+  // payload can still be pasted
+  setupScanSupport() {
+    const supported = "BarcodeDetector" in window;
+    document.querySelectorAll(".qr-scan-controls").forEach(controls => {
+      controls.style.display = supported ? "flex" : "none";
+    });
+  }
+
+  // ===========================
+  // ISSUING
+  // ===========================
+  issueForActivePerson() {
+    const dashboard = window.dashboard;
+    const personId = dashboard?.getActivePersonId();
+    const person = dashboard?.people.find(p => p.id === personId);
+
+    if (!person) {
+      showToast("Could not find whose health card to create", "error");
+      return;
+    }
+
+    this.issue(person);
+  }
+
+  issueForPatient(patientId) {
+    const dashboard = window.dashboard;
+    if (!dashboard?.checkAdminPermission("issue health cards for patients")) return;
+
+    const patient = dashboard.patients.find(p => p.id === patientId);
+    if (!patient) {
+      showToast("Patient not found", "error");
+      return;
+    }
+
+    this.issue(patient);
+  }
+
+  async issue(person) {
+    const container = document.getElementById("health-card-content");
+    if (!container) return;
+
+    container.innerHTML = `
+      <div class="loading">
+        <i class="fas fa-spinner fa-spin"></i>
+        Signing health card...
+      </div>
+    `;
+    window.modals?.openModal("health-card-modal");
+
+    try {
+      const { data, error } = await supabase.functions.invoke("health-cards", {
+        body: { patient_id: person.id },
+      });
+
+      if (error) {
+        // Pass on the function's own message when there is one
+        const body = await Promise.resolve(error.context?.json?.()).catch(() => null);
+        throw new Error(body?.error || error.message);
+      }
+
+      const image = await QRCode.toDataURL(
+        [
+          { data: "shc:/", mode: "byte" },
+          { data: data.qr.slice(5), mode: "numeric" },
+        ],
+        { errorCorrectionLevel: "L", margin: 2, width: 480 }
+      );
+
+      const name = person.full_name || person.email || "patient";
+      const fileName = name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+
+      container.innerHTML = `
+        <div class="health-card">
+          <img class="health-card-qr" src="${image}" alt="Health card QR code for ${name}" />
+          <h4>${name}</h4>
+          <p class="form-hint">
+            Signed by this clinic. Anyone can check it with a SMART Health Card
+            verifier or the "Verify Card" screen in this app.
+          </p>
+          ${data.skipped?.length ? `
+            <p class="form-hint">
+              Not included (no CVX code in the catalog): ${data.skipped.join(", ")}
+            </p>
+          ` : ""}
+          <a class="btn btn-primary" href="${image}" download="${fileName}-health-card.png">
+            <i class="fas fa-download"></i>
+            Download QR Code
+          </a>
+        </div>
+      `;
+    } catch (error) {
+      console.error("Error issuing health card:", error);
+      container.innerHTML = `
+        <div class="empty-state">
+          <i class="fas fa-exclamation-triangle" style="color: #ef4444;"></i>
+          <h3>Could not create health card</h3>
+          <p>${error.message}</p>
+        </div>
+      `;
+    }
+  }
+
+  // ===========================
+  // SCANNING
+  // ===========================
+  // Reads QR codes from the camera into the given video element until one
+  // is found or the modal closes
+  async startScan(videoId, modalId, onResult) {
+    const video = document.getElementById(videoId);
+    const modal = document.getElementById(modalId);
+    if (!video || !modal || !("BarcodeDetector" in window)) return;
+
+    try {
+      this.stopScan();
+      this.scanStream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: "environment" },
+      });
+      video.srcObject = this.scanStream;
+      video.style.display = "block";
+      await video.play();
+    } catch (error) {
+      console.error("Error starting camera:", error);
+      showToast("Could not open the camera", "error");
+      return;
+    }
+
+    const detector = new BarcodeDetector({ formats: ["qr_code"] });
+    const scan = async () => {
+      if (!this.scanStream) return;
+      if (!modal.classList.contains("show")) {
+        this.stopScan(video);
+        return;
+      }
+
+      try {
+        const [code] = await detector.detect(video);
+        if (code?.rawValue) {
+          this.stopScan(video);
+          onResult(code.rawValue);
+          return;
+        }
+      } catch (error) {
+        // Frames can fail to decode while the camera warms up
+      }
+
+      requestAnimationFrame(scan);
+    };
+    requestAnimationFrame(scan);
+  }
+
+  stopScan(video = null) {
+    this.scanStream?.getTracks().forEach(track => track.stop());
+    this.scanStream = null;
+
+    if (video) {
+      video.srcObject = null;
+      video.style.display = "none";
+    }
+  }
+
+  async scanImage(file) {
+    if (!file || !("BarcodeDetector" in window)) return null;
+
+    try {
+      const detector = new BarcodeDetector({ formats: ["qr_code"] });
+      const [code] = await detector.detect(await createImageBitmap(file));
+      if (!code) throw new Error("No QR code found");
+      return code.rawValue;
+    } catch (error) {
+      console.error("Error reading QR image:", error);
+      showToast("No QR code found in the image", "error");
+      return null;
+    }
+  }
+
+  // ===========================
+  // VERIFYING
+  // ===========================
+  openVerifier() {
+    const payload = document.getElementById("verify-payload");
+    const result = document.getElementById("verify-result");
+    const image = document.getElementById("verify-image");
+    if (payload) payload.value = "";
+    if (result) result.innerHTML = "";
+    if (image) image.value = "";
+
+    window.modals?.openModal("verify-card-modal");
+  }
+
+  async verifyPayload() {
+    const text = document.getElementById("verify-payload")?.value;
+    const container = document.getElementById("verify-result");
+    if (!container) return;
+
+    if (!text?.trim()) {
+      showToast("Scan a QR code or paste a health card payload", "error");
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="loading">
+        <i class="fas fa-spinner fa-spin"></i>
+        Verifying...
+      </div>
+    `;
+
+    try {
+      const card = await verifyHealthCard(decodeQrPayload(text));
+      container.innerHTML = this.renderVerification(card);
+    } catch (error) {
+      console.error("Error verifying health card:", error);
+      container.innerHTML = `
+        <div class="verify-status verify-invalid">
+          <i class="fas fa-times-circle"></i>
+          ${escapeHtml(error.message || "The health card could not be read")}
+        </div>
+      `;
+    }
+  }
+
+  // Everything on the card is escaped: whoever made it chose the text
+  renderVerification(card) {
+    const { patientName, birthDate, immunizations } = getCardContents(card.payload);
+
+    let status;
+    if (card.verified && card.trusted) {
+      status = `<div class="verify-status verify-valid"><i class="fas fa-check-circle"></i> Verified: signed by this clinic</div>`;
+    } else if (card.verified) {
+      status = `<div class="verify-status verify-warning"><i class="fas fa-exclamation-circle"></i> Valid signature from another issuer: ${escapeHtml(card.issuer)}</div>`;
+    } else {
+      status = `<div class="verify-status verify-invalid"><i class="fas fa-times-circle"></i> Not verified: ${escapeHtml(card.reason)}</div>`;
+    }
+
+    return `
+      ${status}
+      <div class="patient-summary">
+        <div>Name: <strong>${escapeHtml(patientName || "Unknown")}</strong></div>
+        <div>Date of birth: <strong>${formatDate(birthDate)}</strong></div>
+        <div>Issued: <strong>${card.payload.nbf ? formatDate(new Date(card.payload.nbf * 1000).toISOString()) : "Unknown"}</strong></div>
+      </div>
+      <table class="import-preview-table">
+        <thead>
+          <tr>
+            <th>Vaccine</th>
+            <th>Dose</th>
+            <th>Date Given</th>
+            <th>Lot</th>
+            <th>Given By</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${immunizations.map(imm => `
+            <tr>
+              <td>${escapeHtml(window.vaccineCatalog?.findByCode(imm.cvx)?.name || imm.display || `CVX ${imm.cvx}`)}</td>
+              <td>${escapeHtml(imm.doseNumber || "—")}</td>
+              <td>${formatDate(imm.dateGiven)}</td>
+              <td>${escapeHtml(imm.lotNumber || "—")}</td>
+              <td>${escapeHtml(imm.performer || "—")}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    `;
+  }
+}
+
+export default HealthCardManager;
@@ -0,0 +1,145 @@
+import { functionsUrl } from "./supabase-client.js";
+
+// Cards we issue are signed by the health-cards Edge Function. Set
+// VITE_HEALTH_CARD_ISSUER when the function publishes under another URL
+// (HEALTH_CARD_ISSUER on the function side).
+const env = import.meta.env || {};
+export const HEALTH_CARD_ISSUER = env.VITE_HEALTH_CARD_ISSUER || `${functionsUrl}/health-cards`;
+
+export const CVX_SYSTEM = "http://hl7.org/fhir/sid/cvx";
+
+// ==========================
+// Decoding
+// ==========================
+// Accepts the text read from a QR code ("shc:/" followed by digits) or a
+// bare JWS and returns the JWS
+export function decodeQrPayload(text) {
+  const value = (text || "").trim();
+
+  if (/^shc:\/\d+\/\d+\//.test(value)) {
+    throw new Error("Multi-part health card QR codes are not supported");
+  }
+
+  if (value.startsWith("shc:/")) {
+    const digits = value.slice(5);
+    if (!/^\d+$/.test(digits) || digits.length % 2 !== 0) {
+      throw new Error("The QR code is not a valid health card");
+    }
+    // Each pair of digits is a character code offset by 45
+    return digits
+      .match(/\d\d/g)
+      .map(pair => String.fromCharCode(parseInt(pair, 10) + 45))
+      .join("");
+  }
+
+  if (value.split(".").length === 3) return value;
+
+  throw new Error("The payload is not a health card");
+}
+
+function base64urlDecode(value) {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return await new Response(stream).text();
+}
+
+// Splits a compact JWS and inflates its payload
+export async function decodeJws(jws) {
+  const [encodedHeader, encodedPayload, encodedSignature] = jws.split(".");
+  const header = JSON.parse(new TextDecoder().decode(base64urlDecode(encodedHeader)));
+  const payloadBytes = base64urlDecode(encodedPayload);
+  const payloadText = header.zip === "DEF"
+    ? await inflateRaw(payloadBytes)
+    : new TextDecoder().decode(payloadBytes);
+
+  return {
+    header,
+    payload: JSON.parse(payloadText),
+    signingInput: `${encodedHeader}.${encodedPayload}`,
+    signature: base64urlDecode(encodedSignature),
+  };
+}
+
+// ==========================
+// Verification
+// ==========================
+// Checks the signature against the key the issuer publishes at
+// <iss>/.well-known/jwks.json. Resolves to the decoded card with
+// { verified, trusted, reason }; trusted means we issued it ourselves.
+export async function verifyHealthCard(jws) {
+  const card = await decodeJws(jws);
+  const issuer = card.payload.iss;
+  const result = { ...card, issuer, verified: false, trusted: issuer === HEALTH_CARD_ISSUER, reason: null };
+
+  if (card.header.alg !== "ES256") {
+    return { ...result, reason: `Unsupported signature algorithm ${card.header.alg}` };
+  }
+
+  let jwks;
+  try {
+    const response = await fetch(`${issuer}/.well-known/jwks.json`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    jwks = await response.json();
+  } catch (error) {
+    console.error("Error fetching issuer keys:", error);
+    return { ...result, reason: "Could not fetch the issuer's keys" };
+  }
+
+  // The key set comes from whoever the card names as issuer, so anything
+  // malformed in it is a failed check rather than an error to show
+  let verified;
+  try {
+    const jwk = (Array.isArray(jwks?.keys) ? jwks.keys : []).find(k => k?.kid === card.header.kid);
+    if (!jwk) return { ...result, reason: "The issuer does not publish the signing key" };
+
+    const key = await crypto.subtle.importKey(
+      "jwk",
+      { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y },
+      { name: "ECDSA", namedCurve: "P-256" },
+      false,
+      ["verify"]
+    );
+    verified = await crypto.subtle.verify(
+      { name: "ECDSA", hash: "SHA-256" },
+      key,
+      card.signature,
+      new TextEncoder().encode(card.signingInput)
+    );
+  } catch (error) {
+    console.error("Error checking health card signature:", error);
+    return { ...result, reason: "The issuer's signing key is not valid" };
+  }
+
+  return { ...result, verified, reason: verified ? null : "The signature does not match" };
+}
+
+// ==========================
+// Card Contents
+// ==========================
+// The patient and immunizations in a decoded card's FHIR bundle
+export function getCardContents(payload) {
+  const resources = (payload.vc?.credentialSubject?.fhirBundle?.entry || []).map(e => e.resource);
+  const patient = resources.find(r => r?.resourceType === "Patient");
+  const name = patient?.name?.[0];
+
+  return {
+    patientName: name?.text || [...(name?.given || []), name?.family].filter(Boolean).join(" "),
+    birthDate: patient?.birthDate || null,
+    immunizations: resources
+      .filter(r => r?.resourceType === "Immunization")
+      .map(r => ({
+        cvx: r.vaccineCode?.coding?.find(c => c.system === CVX_SYSTEM)?.code || null,
+        display: r.vaccineCode?.coding?.find(c => c.display)?.display || r.vaccineCode?.text || null,
+        dateGiven: (r.occurrenceDateTime || "").slice(0, 10),
+        lotNumber: r.lotNumber || null,
+        performer: r.performer?.[0]?.actor?.display || null,
+        doseNumber: r.protocolApplied?.[0]?.doseNumberPositiveInt || null,
+        status: r.status,
+      })),
+  };
+}
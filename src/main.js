@@ -1,6 +1,22 @@
 import AuthManager from "./auth.js";
 import Dashboard from "./dashboard.js";
 import ModalManager from "./modals.js";
+import PatientDirectory from "./patient-directory.js";
+import VaccineCatalog from "./vaccine-catalog.js";
+import FamilyManager from "./family.js";
+import AttachmentManager from "./attachments.js";
+import AuditLog from "./audit-log.js";
+import RecycleBin from "./recycle-bin.js";
+import CsvImport from "./csv-import.js";
+import DataExport from "./data-export.js";
+import FhirExchange from "./fhir-exchange.js";
+import CertificateGenerator from "./certificate.js";
+import HealthCardManager from "./health-card-manager.js";
+import HealthCardImport from "./health-card-import.js";
+import CalendarExport from "./calendar.js";
+import PushNotifications from "./push-notifications.js";
+import SettingsManager from "./settings.js";
+import SyncManager from "./sync.js";
 
 class App {
   constructor() {
@@ -13,6 +29,22 @@ class App {
       window.auth = new AuthManager();
       window.dashboard = new Dashboard();
       window.modals = new ModalManager();
+      window.patientDirectory = new PatientDirectory();
+      window.vaccineCatalog = new VaccineCatalog();
+      window.family = new FamilyManager();
+      window.attachments = new AttachmentManager();
+      window.auditLog = new AuditLog();
+      window.recycleBin = new RecycleBin();
+      window.csvImport = new CsvImport();
+      window.dataExport = new DataExport();
+      window.fhirExchange = new FhirExchange();
+      window.certificates = new CertificateGenerator();
+      window.healthCards = new HealthCardManager();
+      window.healthCardImport = new HealthCardImport();
+      window.calendar = new CalendarExport();
+      window.pushNotifications = new PushNotifications();
+      window.settings = new SettingsManager();
+      window.sync = new SyncManager();
 
       console.log("VaxTracker application initialized successfully");
 
@@ -38,6 +70,7 @@ class App {
         document.getElementById("user-name").textContent =
           user.email.split("@")[0];
         await window.dashboard.init();
+        await window.pushNotifications.openLinkedReminder();
       }
     }, 500);
   }
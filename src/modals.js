@@ -69,6 +69,11 @@ class ModalManager {
     modal.classList.remove("show");
     document.body.style.overflow = "";
 
+    // A record started from a reminder card only completes it if saved
+    if (modalId === "add-vaccine-modal" && window.dashboard) {
+      window.dashboard.completingReminder = null;
+    }
+
     // Reset forms inside modal
     const form = modal.querySelector("form");
     if (form) {
@@ -85,6 +90,16 @@ class ModalManager {
             input.required = false;
           }
         });
+
+      // Hide the schedule override reason and clear suggestion hints
+      modal
+        .querySelectorAll('[id*="override-reason-group"]')
+        .forEach((group) => {
+          group.style.display = "none";
+        });
+      modal.querySelectorAll('[id*="suggestion-hint"]').forEach((hint) => {
+        hint.textContent = "";
+      });
     }
   }
 
@@ -139,6 +154,9 @@ class ModalManager {
 
     const data = {};
 
+    // Patient the record belongs to
+    data.user_id = form.querySelector('[id*="patient-select"]')?.value || "";
+
     // Handle vaccine name with custom option
     const vaccineSelect = form.querySelector('[id*="vaccine-name"]');
     const customInput = form.querySelector('[id*="custom-vaccine-name"]');
@@ -151,6 +169,20 @@ class ModalManager {
     data.dose_number = form.querySelector('[id*="dose-number"]')?.value || "";
     data.date_given = form.querySelector('[id*="date-given"]')?.value || "";
     data.next_due = form.querySelector('[id*="next-due"]')?.value || null;
+    data.next_due_override_reason =
+      form.querySelector('input[id*="override-reason"]')?.value.trim() || "";
+
+    // Clinical details
+    data.lot_number = form.querySelector('input[id*="lot-number"]')?.value.trim() || "";
+    data.manufacturer = form.querySelector('input[id*="manufacturer"]')?.value.trim() || "";
+    data.expiration_date = form.querySelector('input[id*="expiration-date"]')?.value || null;
+    data.route = form.querySelector('select[id*="route"]')?.value || "";
+    data.site = form.querySelector('select[id*="admin-site"]')?.value || "";
+    data.provider = form.querySelector('input[id*="provider"]')?.value.trim() || "";
+    data.location = form.querySelector('input[id*="location"]')?.value.trim() || "";
+
+    // Scanned cards and documents to upload
+    data.attachments = [...(form.querySelector('input[type="file"]')?.files || [])];
 
     return data;
   }
@@ -0,0 +1,103 @@
+// ==========================
+// Offline Store
+// ==========================
+// IndexedDB copy of what the app last loaded, plus the queue of changes
+// made while offline (see sync.js). Cache keys start with the signed-in
+// user's id so a shared device never shows one user another's data.
+const DB_NAME = "vaxtracker";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore("cache");
+        db.createObjectStore("queue", { keyPath: "id", autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Runs fn against one store and resolves with the request's result once the
+// transaction has committed
+async function withStore(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = fn(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// ==========================
+// Cache
+// ==========================
+export function cacheGet(key) {
+  return withStore("cache", "readonly", store => store.get(key));
+}
+
+export function cacheSet(key, value) {
+  return withStore("cache", "readwrite", store => store.put(value, key));
+}
+
+// Drops cached data but keeps queued changes, which still need syncing
+export function clearCache() {
+  return withStore("cache", "readwrite", store => store.clear());
+}
+
+// Supabase reports a dropped connection as a failed fetch rather than
+// throwing, so both are checked
+export function isNetworkError(error) {
+  return !navigator.onLine || /failed to fetch|networkerror|load failed/i.test(error?.message || "");
+}
+
+// Runs a Supabase query and caches its rows under key. Offline, or when the
+// request never reaches the server, resolves with the cached rows instead,
+// in the same { data, error } shape plus cached: true.
+export async function cachedQuery(key, run) {
+  const result = navigator.onLine
+    ? await run()
+    : { data: null, error: new Error("Offline") };
+
+  if (!result.error) {
+    await cacheSet(key, result.data).catch(error => {
+      console.error("Error caching query:", error);
+    });
+    return { data: result.data, error: null, cached: false };
+  }
+
+  if (!isNetworkError(result.error)) return result;
+
+  const cached = await cacheGet(key).catch(() => undefined);
+  return cached === undefined
+    ? result
+    : { data: cached, error: null, cached: true };
+}
+
+// ==========================
+// Sync Queue
+// ==========================
+export function getQueue() {
+  return withStore("queue", "readonly", store => store.getAll());
+}
+
+export function addToQueue(change) {
+  return withStore("queue", "readwrite", store => store.add(change));
+}
+
+export function updateInQueue(change) {
+  return withStore("queue", "readwrite", store => store.put(change));
+}
+
+export function removeFromQueue(id) {
+  return withStore("queue", "readwrite", store => store.delete(id));
+}
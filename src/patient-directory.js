@@ -0,0 +1,257 @@
+import { showToast, formatDate, debounce } from "./utils.js";
+
+class PatientDirectory {
+  constructor() {
+    this.entries = [];
+    this.searchTerm = "";
+    this.sortBy = "name";
+    this.currentPatientId = null;
+    this.searchDebounced = debounce((term) => {
+      this.searchTerm = term.toLowerCase().trim();
+      this.render();
+    }, 300);
+    this.init();
+  }
+
+  init() {
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document
+      .getElementById("patient-directory-btn")
+      ?.addEventListener("click", () => this.open());
+
+    document
+      .getElementById("patient-search-input")
+      ?.addEventListener("input", (e) => this.searchDebounced(e.target.value));
+
+    document
+      .getElementById("patient-sort-select")
+      ?.addEventListener("change", (e) => {
+        this.sortBy = e.target.value;
+        this.render();
+      });
+  }
+
+  // ===========================
+  // DIRECTORY
+  // ===========================
+  async open() {
+    const dashboard = window.dashboard;
+    if (!dashboard?.checkAdminPermission("browse the patient directory")) return;
+
+    window.modals?.openModal("patient-directory-modal");
+
+    const container = document.getElementById("patient-directory-list");
+    if (container) {
+      container.innerHTML = `
+        <div class="loading">
+          <i class="fas fa-spinner fa-spin"></i>
+          Loading patients...
+        </div>
+      `;
+    }
+
+    await dashboard.loadPatients();
+    this.entries = this.buildEntries(dashboard);
+    this.render();
+  }
+
+  // Counts come from the admin's already-loaded records and reminders, so
+  // opening the directory costs a single profiles query.
+  buildEntries(dashboard) {
+    return dashboard.patients.map(patient => {
+      const records = dashboard.records.filter(r => r.user_id === patient.id);
+      const reminders = dashboard.reminders.filter(r => r.user_id === patient.id);
+      const { upcoming, overdue } = dashboard.countReminders(reminders);
+      const incompleteSeries = dashboard
+        .getSeries(records)
+        .filter(series => series.requiredDoses && !series.isComplete).length;
+
+      return {
+        ...patient,
+        recordCount: records.length,
+        upcoming,
+        overdue,
+        incompleteSeries,
+      };
+    });
+  }
+
+  getVisibleEntries() {
+    const term = this.searchTerm;
+    const visible = term
+      ? this.entries.filter(entry =>
+          (entry.full_name && entry.full_name.toLowerCase().includes(term)) ||
+          (entry.email && entry.email.toLowerCase().includes(term))
+        )
+      : [...this.entries];
+
+    const byName = (a, b) =>
+      (a.full_name || a.email).localeCompare(b.full_name || b.email);
+
+    const comparators = {
+      name: byName,
+      records: (a, b) => b.recordCount - a.recordCount || byName(a, b),
+      upcoming: (a, b) => b.upcoming - a.upcoming || byName(a, b),
+      overdue: (a, b) => b.overdue - a.overdue || byName(a, b),
+      incomplete: (a, b) => b.incompleteSeries - a.incompleteSeries || byName(a, b),
+    };
+
+    return visible.sort(comparators[this.sortBy] || byName);
+  }
+
+  render() {
+    const container = document.getElementById("patient-directory-list");
+    if (!container) return;
+
+    const entries = this.getVisibleEntries();
+
+    if (entries.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <i class="fas fa-users"></i>
+          <h3>No patients found</h3>
+          <p>${this.searchTerm ? "No patients match your search." : "No patient profiles exist yet."}</p>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = entries.map(entry => this.renderEntry(entry)).join("");
+  }
+
+  renderEntry(entry) {
+    return `
+      <div class="patient-row" onclick="window.patientDirectory.openPatient('${entry.id}')">
+        <div class="patient-info">
+          <h4>${entry.full_name || entry.email}</h4>
+          ${entry.full_name && entry.email ? `<p>${entry.email}</p>` : ""}
+          ${entry.managed_by ? `<p>Dependent${entry.relationship ? ` (${entry.relationship})` : ""}</p>` : ""}
+        </div>
+        <div class="patient-counts">
+          <span class="patient-count" title="Vaccination records">
+            <i class="fas fa-syringe"></i> ${entry.recordCount}
+          </span>
+          <span class="patient-count ${entry.upcoming ? "upcoming" : ""}" title="Upcoming reminders">
+            <i class="fas fa-bell"></i> ${entry.upcoming}
+          </span>
+          <span class="patient-count ${entry.overdue ? "overdue" : ""}" title="Overdue reminders">
+            <i class="fas fa-exclamation-triangle"></i> ${entry.overdue}
+          </span>
+          <span class="patient-count ${entry.incompleteSeries ? "upcoming" : ""}" title="Incomplete primary series">
+            <i class="fas fa-layer-group"></i> ${entry.incompleteSeries}
+          </span>
+        </div>
+      </div>
+    `;
+  }
+
+  // ===========================
+  // PATIENT HISTORY
+  // ===========================
+  async openPatient(patientId) {
+    const dashboard = window.dashboard;
+    if (!dashboard?.checkAdminPermission("view patient histories")) return;
+
+    this.currentPatientId = patientId;
+    const patient = dashboard.patients.find(p => p.id === patientId);
+    const title = document.getElementById("patient-history-title");
+    const container = document.getElementById("patient-history-content");
+    if (title) title.textContent = patient?.full_name || patient?.email || "Patient History";
+
+    window.modals?.closeModal("patient-directory-modal");
+    window.modals?.openModal("patient-history-modal");
+
+    if (!container) return;
+    container.innerHTML = `
+      <div class="loading">
+        <i class="fas fa-spinner fa-spin"></i>
+        Loading vaccination history...
+      </div>
+    `;
+
+    try {
+      const [records, reminders] = await Promise.all([
+        dashboard.loadVaccinationRecords(patientId),
+        dashboard.loadReminders(patientId),
+      ]);
+
+      window.attachments?.trackRecords(records);
+      await window.attachments?.loadSignedUrls(records);
+
+      container.innerHTML = this.renderHistory(dashboard, patient, records, reminders);
+    } catch (error) {
+      console.error("Error loading patient history:", error);
+      showToast("Error loading patient history", "error");
+      container.innerHTML = `
+        <div class="empty-state">
+          <i class="fas fa-exclamation-triangle" style="color: #ef4444;"></i>
+          <h3>Error Loading Data</h3>
+          <p>There was an error loading this patient's vaccination history.</p>
+        </div>
+      `;
+    }
+  }
+
+  renderHistory(dashboard, patient, records, reminders) {
+    const { upcoming, overdue } = dashboard.countReminders(reminders);
+    const lastDose = records[0]?.date_given;
+
+    return `
+      <div class="patient-history-actions">
+        <button
+          class="btn btn-secondary"
+          type="button"
+          onclick="window.certificates.downloadForPatient('${patient.id}')"
+        >
+          <i class="fas fa-certificate"></i>
+          Download Certificate
+        </button>
+        <button
+          class="btn btn-secondary"
+          type="button"
+          onclick="window.healthCards.issueForPatient('${patient.id}')"
+        >
+          <i class="fas fa-qrcode"></i>
+          Health Card
+        </button>
+        <button
+          class="btn btn-secondary"
+          type="button"
+          onclick="window.fhirExchange.exportPatient('${patient.id}')"
+        >
+          <i class="fas fa-file-export"></i>
+          Export FHIR Bundle
+        </button>
+        <button
+          class="btn btn-secondary"
+          type="button"
+          onclick="window.fhirExchange.openImport('${patient.id}')"
+        >
+          <i class="fas fa-file-import"></i>
+          Import FHIR Bundle
+        </button>
+      </div>
+      <div class="patient-summary">
+        <div><strong>${records.length}</strong> records</div>
+        <div><strong>${upcoming}</strong> upcoming</div>
+        <div><strong>${overdue}</strong> overdue</div>
+        <div>Last dose: <strong>${formatDate(lastDose)}</strong></div>
+      </div>
+      <h4 class="patient-history-heading">Recommended Vaccines</h4>
+      ${dashboard.renderGapChecklist(patient, records)}
+      <h4 class="patient-history-heading">Vaccination History</h4>
+      ${records.length
+        ? dashboard.renderSeriesGroups(records)
+        : '<p class="patient-history-empty">No vaccination records for this patient.</p>'}
+      <h4 class="patient-history-heading">Pending Reminders</h4>
+      ${reminders.length
+        ? reminders.map(reminder => dashboard.renderReminderCard(reminder)).join("")
+        : '<p class="patient-history-empty">No pending reminders.</p>'}
+    `;
+  }
+}
+
+export default PatientDirectory;
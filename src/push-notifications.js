@@ -0,0 +1,202 @@
+import { supabase } from "./supabase-client.js";
+import { showToast } from "./utils.js";
+
+// Public half of the VAPID key pair the send-reminders function signs with
+const env = import.meta.env || {};
+const VAPID_PUBLIC_KEY = env.VITE_VAPID_PUBLIC_KEY || "";
+
+// Push subscriptions want the key as bytes, not base64url
+function urlBase64ToUint8Array(value) {
+  const base64 = (value + "=".repeat((4 - (value.length % 4)) % 4))
+    .replace(/-/g, "+")
+    .replace(/_/g, "/");
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+class PushNotifications {
+  constructor() {
+    this.registration = null;
+    this.init();
+  }
+
+  init() {
+    this.setupEventListeners();
+    this.registerServiceWorker();
+  }
+
+  setupEventListeners() {
+    document
+      .getElementById("push-toggle-btn")
+      ?.addEventListener("click", () => this.toggle());
+
+    // Notifications clicked while the app is already open
+    navigator.serviceWorker?.addEventListener("message", (event) => {
+      if (event.data?.type === "open-reminder") {
+        this.openReminder(event.data.reminderId, event.data.userId);
+      }
+    });
+  }
+
+  isSupported() {
+    return !!VAPID_PUBLIC_KEY &&
+      "serviceWorker" in navigator &&
+      "PushManager" in window &&
+      "Notification" in window;
+  }
+
+  async registerServiceWorker() {
+    if (!("serviceWorker" in navigator)) return;
+
+    try {
+      this.registration = await navigator.serviceWorker.register("/sw.js");
+    } catch (error) {
+      console.error("Error registering service worker:", error);
+    }
+  }
+
+  async getSubscription() {
+    if (!this.isSupported() || !this.registration) return null;
+    return await this.registration.pushManager.getSubscription();
+  }
+
+  // ===========================
+  // SETTINGS
+  // ===========================
+  async renderStatus() {
+    const status = document.getElementById("push-status");
+    const button = document.getElementById("push-toggle-btn");
+    if (!status || !button) return;
+
+    if (!this.isSupported()) {
+      status.textContent = "This browser (or this installation) does not support push notifications.";
+      button.style.display = "none";
+      return;
+    }
+
+    button.style.display = "inline-flex";
+
+    if (Notification.permission === "denied") {
+      status.textContent = "Notifications are blocked for this site. Allow them in your browser's site settings to turn them on.";
+      button.disabled = true;
+      return;
+    }
+
+    const subscription = await this.getSubscription();
+    button.disabled = false;
+    status.textContent = subscription
+      ? "This browser will be notified on your reminder schedule."
+      : "Get a notification on this browser on your reminder schedule.";
+    button.innerHTML = subscription
+      ? '<i class="fas fa-bell-slash"></i> Turn Off'
+      : '<i class="fas fa-bell"></i> Turn On';
+  }
+
+  async toggle() {
+    const button = document.getElementById("push-toggle-btn");
+    if (button) button.disabled = true;
+
+    if (await this.getSubscription()) {
+      await this.disable();
+    } else {
+      await this.enable();
+    }
+
+    await this.renderStatus();
+  }
+
+  async enable() {
+    try {
+      const permission = await Notification.requestPermission();
+      if (permission !== "granted") {
+        showToast("Notifications were not allowed", "error");
+        return;
+      }
+
+      const subscription = await this.registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY),
+      });
+      const { endpoint, keys } = subscription.toJSON();
+
+      const { error } = await supabase
+        .from("push_subscriptions")
+        .upsert([{
+          user_id: window.dashboard?.currentUser?.id,
+          endpoint,
+          p256dh: keys.p256dh,
+          auth: keys.auth,
+          user_agent: navigator.userAgent,
+        }], { onConflict: "endpoint" });
+
+      if (error) {
+        // Don't leave the browser subscribed to pushes we can't send
+        await subscription.unsubscribe();
+        throw error;
+      }
+
+      showToast("Push notifications turned on", "success");
+    } catch (error) {
+      console.error("Error enabling push notifications:", error);
+      showToast("Error turning on push notifications", "error");
+    }
+  }
+
+  async disable() {
+    try {
+      const subscription = await this.getSubscription();
+      if (!subscription) return;
+
+      const { error } = await supabase
+        .from("push_subscriptions")
+        .delete()
+        .eq("endpoint", subscription.endpoint);
+
+      if (error) throw error;
+
+      await subscription.unsubscribe();
+      showToast("Push notifications turned off", "success");
+    } catch (error) {
+      console.error("Error disabling push notifications:", error);
+      showToast("Error turning off push notifications", "error");
+    }
+  }
+
+  // ===========================
+  // DEEP LINKS
+  // ===========================
+  // Notifications open /?reminder=<id>&person=<patient id>; called once the
+  // dashboard has loaded
+  async openLinkedReminder() {
+    const params = new URLSearchParams(window.location.search);
+    const reminderId = params.get("reminder");
+    if (!reminderId) return;
+
+    // Drop the parameters so a reload doesn't reopen the reminder
+    window.history.replaceState(null, "", window.location.pathname);
+    await this.openReminder(reminderId, params.get("person"));
+  }
+
+  async openReminder(reminderId, personId = null) {
+    const dashboard = window.dashboard;
+    if (!dashboard || !reminderId) return;
+
+    // Account holders only see the selected person's reminders
+    if (!dashboard.isAdmin() && personId && personId !== dashboard.getActivePersonId()) {
+      await dashboard.switchPerson(personId);
+    }
+
+    window.modals?.openModal("reminders-modal");
+
+    const card = document.querySelector(`#reminders-list [data-reminder-id="${reminderId}"]`);
+    if (!card) {
+      showToast("That reminder is no longer pending", "info");
+      return;
+    }
+
+    card.classList.add("highlighted");
+    card.scrollIntoView({ behavior: "smooth", block: "center" });
+    setTimeout(() => card.classList.remove("highlighted"), 3000);
+  }
+}
+
+export default PushNotifications;
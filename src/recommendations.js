@@ -0,0 +1,135 @@
+import { addMonths, toDateString } from "./utils.js";
+
+// ==========================
+// Recommended Schedule
+// ==========================
+// A simplified, locally maintained routine schedule. Dose ages are in months
+// from birth; names match the vaccine catalog.
+//   doses             age at which each dose is recommended
+//   repeatEveryMonths after the listed doses, one dose per interval
+//   untilAgeMonths    the recommendation lapses after this age
+//   graceMonths       how long a dose counts as "due" before it is "missing"
+export const RECOMMENDED_SCHEDULE = [
+  { vaccine: "Hepatitis B", doses: [0, 1, 6] },
+  { vaccine: "MMR", doses: [12, 48] },
+  { vaccine: "Varicella", doses: [12, 48] },
+  { vaccine: "Influenza", doses: [6], repeatEveryMonths: 12 },
+  { vaccine: "COVID-19", doses: [6], repeatEveryMonths: 12 },
+  { vaccine: "Tdap", doses: [132], repeatEveryMonths: 120 },
+  { vaccine: "HPV", doses: [132, 138], untilAgeMonths: 312 },
+  { vaccine: "Meningococcal", doses: [132, 192], untilAgeMonths: 264 },
+  { vaccine: "Shingles", doses: [600, 602] },
+  { vaccine: "Pneumococcal", doses: [780] },
+];
+
+const DEFAULT_GRACE_MONTHS = 2;
+
+// ==========================
+// Gap Analysis
+// ==========================
+// Compares a person's records against the schedule for their age. Only
+// recommendations the person is old enough for are returned, each as:
+//   { vaccine, status: "complete" | "due" | "missing", dosesRecorded,
+//     dosesExpected, dueDate, detail }
+export function analyzeGaps(dateOfBirth, records, today = new Date()) {
+  if (!dateOfBirth) return [];
+
+  const todayString = toDateString(today);
+  const ageMonths = monthsBetween(dateOfBirth, todayString);
+
+  return RECOMMENDED_SCHEDULE
+    .filter(rec => ageMonths >= rec.doses[0])
+    .map(rec => analyzeRecommendation(rec, dateOfBirth, ageMonths, records, todayString))
+    .filter(Boolean);
+}
+
+function analyzeRecommendation(rec, dateOfBirth, ageMonths, records, today) {
+  const doses = records
+    .filter(r => r.vaccine_name.toLowerCase() === rec.vaccine.toLowerCase())
+    .sort((a, b) => new Date(a.date_given) - new Date(b.date_given));
+  const grace = rec.graceMonths ?? DEFAULT_GRACE_MONTHS;
+
+  // Series doses the person is old enough for
+  const expected = rec.doses.filter(age => ageMonths >= age);
+  const recorded = Math.min(doses.length, rec.doses.length);
+
+  if (recorded < expected.length) {
+    // Past the upper age limit an unfinished series is no longer recommended
+    if (rec.untilAgeMonths && ageMonths > rec.untilAgeMonths) return null;
+
+    const nextAge = rec.doses[recorded];
+    const dueDate = addMonths(dateOfBirth, nextAge);
+    const isMissing = ageMonths >= nextAge + grace;
+
+    return {
+      vaccine: rec.vaccine,
+      status: isMissing ? "missing" : "due",
+      dosesRecorded: recorded,
+      dosesExpected: rec.doses.length,
+      dueDate,
+      detail: `Dose ${recorded + 1} of ${rec.doses.length} ${isMissing ? "was due" : "is due"} at ${formatAge(nextAge)}`,
+    };
+  }
+
+  // Recurring vaccines need a dose within every interval
+  if (rec.repeatEveryMonths && recorded === rec.doses.length) {
+    const last = doses[doses.length - 1];
+    const dueDate = addMonths(last.date_given, rec.repeatEveryMonths);
+
+    if (dueDate <= today) {
+      return {
+        vaccine: rec.vaccine,
+        status: "due",
+        dosesRecorded: recorded,
+        dosesExpected: rec.doses.length,
+        dueDate,
+        detail: `Repeat dose due every ${formatInterval(rec.repeatEveryMonths)}`,
+      };
+    }
+
+    return {
+      vaccine: rec.vaccine,
+      status: "complete",
+      dosesRecorded: recorded,
+      dosesExpected: rec.doses.length,
+      dueDate,
+      detail: "Up to date",
+    };
+  }
+
+  const isFinished = recorded === rec.doses.length;
+  return {
+    vaccine: rec.vaccine,
+    status: "complete",
+    dosesRecorded: recorded,
+    dosesExpected: rec.doses.length,
+    dueDate: isFinished ? null : addMonths(dateOfBirth, rec.doses[recorded]),
+    detail: isFinished
+      ? "Series complete"
+      : `Dose ${recorded + 1} recommended at ${formatAge(rec.doses[recorded])}`,
+  };
+}
+
+// ==========================
+// Age Helpers
+// ==========================
+// Whole months from one "YYYY-MM-DD" date to another
+export function monthsBetween(from, to) {
+  const [fy, fm, fd] = from.split("-").map(Number);
+  const [ty, tm, td] = to.split("-").map(Number);
+  return (ty - fy) * 12 + (tm - fm) - (td < fd ? 1 : 0);
+}
+
+function formatAge(months) {
+  if (months === 0) return "birth";
+  if (months < 24) return `${months} month${months > 1 ? "s" : ""} old`;
+  return `${Math.floor(months / 12)} years old`;
+}
+
+function formatInterval(months) {
+  if (months % 12 === 0) {
+    const years = months / 12;
+    return years === 1 ? "year" : `${years} years`;
+  }
+  return `${months} months`;
+}
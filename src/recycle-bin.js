@@ -0,0 +1,173 @@
+import { supabase } from "./supabase-client.js";
+import { showToast, formatDate } from "./utils.js";
+
+class RecycleBin {
+  constructor() {
+    this.records = [];
+    this.init();
+  }
+
+  init() {
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document
+      .getElementById("recycle-bin-btn")
+      ?.addEventListener("click", () => this.open());
+  }
+
+  // ===========================
+  // TRASH VIEW
+  // ===========================
+  async open() {
+    if (!window.dashboard?.checkAdminPermission("view the recycle bin")) return;
+
+    window.modals?.openModal("recycle-bin-modal");
+
+    const container = document.getElementById("recycle-bin-list");
+    if (container) {
+      container.innerHTML = `
+        <div class="loading">
+          <i class="fas fa-spinner fa-spin"></i>
+          Loading deleted records...
+        </div>
+      `;
+    }
+
+    await this.load();
+    this.render();
+  }
+
+  async load() {
+    try {
+      const { data, error } = await supabase
+        .from("vaccination_records")
+        .select(`
+          *,
+          profiles!vaccination_records_user_id_fkey(full_name, email),
+          record_attachments(id, record_id, storage_path, file_name, content_type, size_bytes)
+        `)
+        .not("deleted_at", "is", null)
+        .order("deleted_at", { ascending: false });
+
+      if (error) throw error;
+
+      this.records = data || [];
+    } catch (error) {
+      console.error("Error loading deleted records:", error);
+      showToast("Error loading the recycle bin", "error");
+      this.records = [];
+    }
+  }
+
+  render() {
+    const container = document.getElementById("recycle-bin-list");
+    if (!container) return;
+
+    if (this.records.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <i class="fas fa-trash-restore"></i>
+          <h3>The recycle bin is empty</h3>
+          <p>Deleted vaccination records appear here until they are restored or purged.</p>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = this.records
+      .map(record => `
+        <div class="recycle-item">
+          <div class="recycle-info">
+            <h4>${record.vaccine_name} · Dose ${record.dose_number}</h4>
+            <p>${record.profiles?.full_name || record.profiles?.email || "Unknown patient"} · given ${formatDate(record.date_given)}</p>
+            <p>Deleted ${formatDate(record.deleted_at)}</p>
+          </div>
+          <div class="record-actions">
+            <button
+              class="btn-icon"
+              type="button"
+              onclick="window.recycleBin.restoreRecord('${record.id}')"
+              title="Restore Record"
+              aria-label="Restore vaccination record"
+            >
+              <i class="fas fa-undo"></i>
+            </button>
+            <button
+              class="btn-icon btn-danger"
+              type="button"
+              onclick="window.recycleBin.purgeRecord('${record.id}')"
+              title="Delete Permanently"
+              aria-label="Permanently delete vaccination record"
+            >
+              <i class="fas fa-trash"></i>
+            </button>
+          </div>
+        </div>
+      `)
+      .join("");
+  }
+
+  // ===========================
+  // RESTORE & PURGE
+  // ===========================
+  // Also used by the "Undo" action on the delete toast. Reminders deleted
+  // with the record come back with it via trigger.
+  async restoreRecord(recordId) {
+    if (!window.dashboard?.checkAdminPermission("restore vaccination records")) return;
+
+    try {
+      const { error } = await supabase
+        .from("vaccination_records")
+        .update({ deleted_at: null })
+        .eq("id", recordId);
+
+      if (error) throw error;
+
+      showToast("Vaccination record restored", "success");
+      this.records = this.records.filter(r => r.id !== recordId);
+      this.render();
+      await window.dashboard.refreshDashboard();
+    } catch (error) {
+      console.error("Error restoring vaccination record:", error);
+      showToast("Error restoring vaccination record", "error");
+    }
+  }
+
+  async purgeRecord(recordId) {
+    if (!window.dashboard?.checkAdminPermission("permanently delete vaccination records")) return;
+
+    const record = this.records.find(r => r.id === recordId);
+    if (!record) {
+      showToast("Record not found", "error");
+      return;
+    }
+
+    if (!window.confirm(`Permanently delete this ${record.vaccine_name} record? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      // Remove stored files; their rows go with the record via cascade
+      await window.attachments?.removeForRecord(record);
+
+      // Delete the vaccination record (reminders will be deleted via cascade)
+      const { error } = await supabase
+        .from("vaccination_records")
+        .delete()
+        .eq("id", recordId);
+
+      if (error) throw error;
+
+      showToast("Vaccination record permanently deleted", "success");
+      this.records = this.records.filter(r => r.id !== recordId);
+      this.render();
+    } catch (error) {
+      console.error("Error purging vaccination record:", error);
+      showToast("Error deleting vaccination record", "error");
+    }
+  }
+}
+
+export default RecycleBin;
@@ -0,0 +1,147 @@
+import { addMonths } from "./utils.js";
+
+// Doses given this many months before a season opens count toward it
+const EARLY_SEASON_MONTHS = 2;
+
+// ==========================
+// Next Due Suggestion
+// ==========================
+// Proposes the next due date for a dose from the vaccine's catalog schedule.
+// Returns null when there is nothing to go on (custom vaccine, no schedule,
+// missing dose or date), otherwise:
+//   { nextDue, seriesComplete, reason }
+// where nextDue is a "YYYY-MM-DD" string or null when nothing further is due.
+export function proposeNextDue(vaccine, doseNumber, dateGiven) {
+  const dose = parseInt(doseNumber);
+  if (!vaccine || !dateGiven || isNaN(dose) || dose < 1) return null;
+
+  const seriesDoses = vaccine.primary_series_doses || 1;
+  const schedule = vaccine.dose_schedule_months;
+
+  // Still inside the primary series: wait the gap to the next scheduled dose
+  if (dose < seriesDoses) {
+    if (!Array.isArray(schedule) || schedule.length !== seriesDoses) return null;
+
+    const gap = schedule[dose] - schedule[dose - 1];
+    return {
+      nextDue: addMonths(dateGiven, gap),
+      seriesComplete: false,
+      reason: `Dose ${dose + 1} of ${seriesDoses} is due ${formatGap(gap)} after dose ${dose}`,
+    };
+  }
+
+  // Primary series done: seasonal vaccines come back when the next season
+  // opens, other boosters repeat on a fixed interval
+  if (vaccine.season_start) {
+    return {
+      nextDue: getNextSeasonStart(vaccine.season_start, dateGiven),
+      seriesComplete: true,
+      reason: `Primary series complete; due again when the season starts on ${formatSeasonStart(vaccine.season_start)}`,
+    };
+  }
+
+  if (vaccine.booster_interval_months) {
+    return {
+      nextDue: addMonths(dateGiven, vaccine.booster_interval_months),
+      seriesComplete: true,
+      reason: `Primary series complete; booster due ${formatGap(vaccine.booster_interval_months)} later`,
+    };
+  }
+
+  return {
+    nextDue: null,
+    seriesComplete: true,
+    reason: `Primary series complete (${seriesDoses} dose${seriesDoses > 1 ? "s" : ""}); no further doses scheduled`,
+  };
+}
+
+// ==========================
+// Recurrence
+// ==========================
+// How a vaccine repeats once its primary series is done, for the catalog
+// and reminder cards, e.g. "Every year from September 1". Null if it
+// doesn't.
+export function describeRecurrence(vaccine) {
+  if (vaccine?.season_start) {
+    return `Every year from ${formatSeasonStart(vaccine.season_start)}`;
+  }
+
+  const months = vaccine?.booster_interval_months;
+  if (!months) return null;
+  if (months === 12) return "Every year";
+  return `Every ${formatGap(months)}`;
+}
+
+// Whether the dose after this one is a repeat rather than part of the
+// primary series
+export function isRecurringDose(vaccine, doseNumber) {
+  return !!describeRecurrence(vaccine) &&
+    parseInt(doseNumber) >= (vaccine.primary_series_doses || 1);
+}
+
+// First season start ("MM-DD") after a dose, skipping the season the dose
+// was given early for
+function getNextSeasonStart(seasonStart, dateGiven) {
+  const earliest = addMonths(dateGiven, EARLY_SEASON_MONTHS);
+  const year = Number(earliest.slice(0, 4));
+  const candidate = `${year}-${seasonStart}`;
+  return candidate > earliest ? candidate : `${year + 1}-${seasonStart}`;
+}
+
+function formatSeasonStart(seasonStart) {
+  return new Date(`2001-${seasonStart}T00:00:00Z`).toLocaleDateString("en-US", {
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+// ==========================
+// Schedule Parsing
+// ==========================
+// Turns "0, 1, 6" into [0, 1, 6]. Returns null for an empty value and
+// throws on anything that is not a non-decreasing list of month offsets
+// starting at 0.
+export function parseDoseSchedule(value) {
+  const text = (value || "").trim();
+  if (!text) return null;
+
+  const months = text.split(",").map(part => Number(part.trim()));
+  const valid =
+    months[0] === 0 &&
+    months.every((m, i) => Number.isInteger(m) && m >= 0 && (i === 0 || m >= months[i - 1]));
+
+  if (!valid) {
+    throw new Error("Dose schedule must be month offsets like 0, 1, 6");
+  }
+
+  return months;
+}
+
+// Turns "9-1" into "09-01". Returns null for an empty value and throws
+// on anything that isn't a month and day; February 29 isn't allowed, since
+// most years don't have one.
+export function parseSeasonStart(value) {
+  const text = (value || "").trim();
+  if (!text) return null;
+
+  const match = text.match(/^(\d{1,2})-(\d{1,2})$/);
+  const seasonStart = match
+    ? `${match[1].padStart(2, "0")}-${match[2].padStart(2, "0")}`
+    : null;
+  const date = seasonStart && new Date(`2001-${seasonStart}T00:00:00Z`);
+
+  if (!date || isNaN(date) || date.toISOString().slice(5, 10) !== seasonStart) {
+    throw new Error("Season start must be a month and day like 09-01");
+  }
+
+  return seasonStart;
+}
+
+function formatGap(months) {
+  if (months % 12 === 0 && months >= 12) {
+    const years = months / 12;
+    return `${years} year${years > 1 ? "s" : ""}`;
+  }
+  return `${months} month${months !== 1 ? "s" : ""}`;
+}
@@ -0,0 +1,91 @@
+// ==========================
+// Vaccine Series Grouping
+// ==========================
+// Groups dose records into one series per patient and vaccine, in the order
+// the records arrive (most recent dose first when records come from
+// loadVaccinationRecords). findVaccine maps a vaccine name to its catalog
+// entry so the primary series length is known.
+export function buildSeries(records, findVaccine = () => null) {
+  const groups = new Map();
+
+  records.forEach(record => {
+    const key = `${record.user_id}::${record.vaccine_name.toLowerCase()}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        userId: record.user_id,
+        vaccineName: record.vaccine_name,
+        profiles: record.profiles,
+        records: [],
+      });
+    }
+    groups.get(key).records.push(record);
+  });
+
+  return [...groups.values()].map(group =>
+    summarizeSeries(group, findVaccine(group.vaccineName))
+  );
+}
+
+function summarizeSeries(group, vaccine) {
+  const byDose = [...group.records].sort(
+    (a, b) => a.dose_number - b.dose_number || new Date(a.date_given) - new Date(b.date_given)
+  );
+  const doseNumbers = byDose.map(r => r.dose_number);
+  const distinctDoses = [...new Set(doseNumbers)];
+  const highestDose = Math.max(...doseNumbers);
+  const requiredDoses = vaccine?.primary_series_doses || null;
+
+  // Dose numbers below the highest one recorded that never appear
+  const skippedDoses = [];
+  for (let dose = 1; dose < highestDose; dose++) {
+    if (!distinctDoses.includes(dose)) skippedDoses.push(dose);
+  }
+
+  // The same dose number recorded more than once
+  const duplicateDoses = distinctDoses.filter(
+    dose => doseNumbers.indexOf(dose) !== doseNumbers.lastIndexOf(dose)
+  );
+
+  // A higher dose number given on an earlier date than a lower one
+  const byDate = [...group.records].sort(
+    (a, b) => new Date(a.date_given) - new Date(b.date_given)
+  );
+  const outOfOrder = byDate.some(
+    (record, i) => i > 0 && record.dose_number < byDate[i - 1].dose_number
+  );
+
+  const isComplete = requiredDoses
+    ? Array.from({ length: requiredDoses }, (_, i) => i + 1).every(d => distinctDoses.includes(d))
+    : group.records.some(r => r.series_complete) && skippedDoses.length === 0;
+
+  const latest = byDate[byDate.length - 1];
+
+  // Boosters past the primary series don't count towards it
+  const seriesDoses = requiredDoses
+    ? distinctDoses.filter(dose => dose <= requiredDoses)
+    : distinctDoses;
+
+  return {
+    ...group,
+    records: byDose,
+    latest,
+    requiredDoses,
+    dosesRecorded: seriesDoses.length,
+    isComplete,
+    skippedDoses,
+    duplicateDoses,
+    outOfOrder,
+    hasIssues: skippedDoses.length > 0 || duplicateDoses.length > 0 || outOfOrder,
+  };
+}
+
+// ==========================
+// Series Progress Text
+// ==========================
+export function formatSeriesProgress(series) {
+  if (!series.requiredDoses) {
+    return `${series.dosesRecorded} dose${series.dosesRecorded !== 1 ? "s" : ""} recorded`;
+  }
+  return `${series.dosesRecorded} of ${series.requiredDoses} doses`;
+}
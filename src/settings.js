@@ -0,0 +1,193 @@
+import { supabase } from "./supabase-client.js";
+import { showToast, formatDate } from "./utils.js";
+
+// Lead times are whole days, at most a year, matching the profiles check
+const MAX_REMINDER_DAYS = 365;
+const REMINDER_CHANNELS = ["email", "push", "sms"];
+// E.164, as the profiles check and SMS providers expect
+const PHONE_PATTERN = /^\+[1-9][0-9]{6,14}$/;
+
+// "30, 7, 1" -> [30, 7, 1]; null if any entry isn't a valid day count
+function parseDays(value) {
+  const parts = value.split(",").map(part => part.trim()).filter(Boolean);
+  const days = parts.map(Number);
+  if (days.some(day => !Number.isInteger(day) || day < 1 || day > MAX_REMINDER_DAYS)) {
+    return null;
+  }
+  return [...new Set(days)].sort((a, b) => b - a);
+}
+
+// "+1 (555) 123-4567" -> "+15551234567"; formatting characters are dropped
+function normalizePhone(value) {
+  return value.replace(/[\s().-]/g, "");
+}
+
+class SettingsManager {
+  constructor() {
+    this.profile = null; // Reminder settings as last loaded
+    this.smsOptOut = null; // STOP recorded for the profile's phone number
+    this.init();
+  }
+
+  init() {
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document
+      .getElementById("settings-btn")
+      ?.addEventListener("click", () => this.open());
+
+    document
+      .getElementById("reminder-schedule-form")
+      ?.addEventListener("submit", (e) => this.saveReminderSchedule(e));
+
+    document
+      .getElementById("reminder-channels-form")
+      ?.addEventListener("submit", (e) => this.saveReminderChannels(e));
+  }
+
+  open() {
+    window.pushNotifications?.renderStatus();
+    this.loadReminderSettings();
+    window.modals?.openModal("settings-modal");
+  }
+
+  // ===========================
+  // REMINDER SETTINGS
+  // ===========================
+  async loadReminderSettings() {
+    const userId = window.dashboard?.currentUser?.id;
+    if (!userId) return;
+
+    try {
+      const { data, error } = await supabase
+        .from("profiles")
+        .select("reminder_lead_days, reminder_overdue_days, reminder_channels, phone")
+        .eq("id", userId)
+        .single();
+
+      if (error) throw error;
+
+      this.profile = data;
+      this.smsOptOut = await this.loadSmsOptOut(data.phone);
+      this.renderReminderSchedule();
+      this.renderReminderChannels();
+    } catch (error) {
+      console.error("Error loading reminder settings:", error);
+      showToast("Error loading reminder settings", "error");
+    }
+  }
+
+  renderReminderSchedule() {
+    const leadInput = document.getElementById("reminder-lead-days");
+    const overdueInput = document.getElementById("reminder-overdue-days");
+    if (!leadInput || !overdueInput || !this.profile) return;
+
+    leadInput.value = (this.profile.reminder_lead_days || []).join(", ");
+    overdueInput.value = (this.profile.reminder_overdue_days || []).join(", ");
+  }
+
+  async saveReminderSchedule(e) {
+    e.preventDefault();
+
+    const leadDays = parseDays(document.getElementById("reminder-lead-days")?.value || "");
+    const overdueDays = parseDays(document.getElementById("reminder-overdue-days")?.value || "");
+
+    if (!leadDays || !overdueDays) {
+      showToast(`Enter whole numbers of days from 1 to ${MAX_REMINDER_DAYS}, separated by commas`, "error");
+      return;
+    }
+
+    try {
+      const { error } = await supabase
+        .from("profiles")
+        .update({
+          reminder_lead_days: leadDays,
+          reminder_overdue_days: overdueDays,
+        })
+        .eq("id", window.dashboard?.currentUser?.id);
+
+      if (error) throw error;
+
+      await this.loadReminderSettings();
+      showToast("Reminder schedule saved", "success");
+    } catch (error) {
+      console.error("Error saving reminder schedule:", error);
+      showToast("Error saving reminder schedule", "error");
+    }
+  }
+
+  // ===========================
+  // REMINDER CHANNELS
+  // ===========================
+  // STOP is recorded against the number, whichever profiles use it
+  async loadSmsOptOut(phone) {
+    if (!phone) return null;
+
+    const { data, error } = await supabase
+      .from("sms_opt_outs")
+      .select("opted_out_at")
+      .eq("phone", phone)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  renderReminderChannels() {
+    if (!this.profile) return;
+
+    const channels = this.profile.reminder_channels || [];
+    REMINDER_CHANNELS.forEach(channel => {
+      const checkbox = document.getElementById(`reminder-channel-${channel}`);
+      if (checkbox) checkbox.checked = channels.includes(channel);
+    });
+
+    const phoneInput = document.getElementById("reminder-phone");
+    if (phoneInput) phoneInput.value = this.profile.phone || "";
+
+    const status = document.getElementById("sms-status");
+    if (status) {
+      status.textContent = this.smsOptOut
+        ? `This number replied STOP on ${formatDate(this.smsOptOut.opted_out_at)}, so no texts are sent to it. Reply START to any reminder text to turn them back on.`
+        : "";
+    }
+  }
+
+  async saveReminderChannels(e) {
+    e.preventDefault();
+
+    const channels = REMINDER_CHANNELS.filter(
+      channel => document.getElementById(`reminder-channel-${channel}`)?.checked
+    );
+    const phone = normalizePhone(document.getElementById("reminder-phone")?.value || "") || null;
+
+    if (phone && !PHONE_PATTERN.test(phone)) {
+      showToast("Enter the mobile number with its country code, like +15551234567", "error");
+      return;
+    }
+
+    if (channels.includes("sms") && !phone) {
+      showToast("Enter a mobile number to get reminders by text", "error");
+      return;
+    }
+
+    try {
+      const { error } = await supabase
+        .from("profiles")
+        .update({ reminder_channels: channels, phone })
+        .eq("id", window.dashboard?.currentUser?.id);
+
+      if (error) throw error;
+
+      await this.loadReminderSettings();
+      showToast("Reminder channels saved", "success");
+    } catch (error) {
+      console.error("Error saving reminder channels:", error);
+      showToast("Error saving reminder channels", "error");
+    }
+  }
+}
+
+export default SettingsManager;
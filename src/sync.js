@@ -0,0 +1,482 @@
+import { supabase } from "./supabase-client.js";
+import { showToast, formatDate } from "./utils.js";
+import {
+  getQueue,
+  addToQueue,
+  updateInQueue,
+  removeFromQueue,
+  clearCache,
+  isNetworkError,
+} from "./offline-store.js";
+
+// Fields compared when a queued change clashes with the server's copy
+const CONFLICT_FIELDS = {
+  vaccine_name: "Vaccine",
+  dose_number: "Dose",
+  date_given: "Date Given",
+  next_due: "Next Due",
+  lot_number: "Lot Number",
+  provider: "Provider",
+  location: "Location",
+};
+
+// Record adds, edits and deletes made while offline are queued in IndexedDB
+// and replayed, in order, once the connection is back. An edit or delete is
+// only applied if the server's row hasn't changed since it was loaded
+// (its updated_at still matches); otherwise the change is held as a
+// conflict until someone chooses which version to keep. Each change
+// belongs to the user who made it and is only shown or replayed for them.
+class SyncManager {
+  constructor() {
+    this.changes = [];
+    this.syncing = false;
+    this.ready = this.init();
+  }
+
+  async init() {
+    this.setupEventListeners();
+
+    try {
+      this.changes = await getQueue();
+    } catch (error) {
+      console.error("Error loading sync queue:", error);
+    }
+
+    this.renderStatus();
+  }
+
+  setupEventListeners() {
+    window.addEventListener("online", () => this.sync());
+    window.addEventListener("offline", () => this.renderStatus());
+
+    document
+      .getElementById("sync-status")
+      ?.addEventListener("click", () => this.open());
+
+    document
+      .getElementById("sync-now-btn")
+      ?.addEventListener("click", () => this.sync());
+  }
+
+  isOffline() {
+    return !navigator.onLine;
+  }
+
+  getUserId() {
+    return window.auth?.getCurrentUser()?.id || null;
+  }
+
+  // The signed-in user's changes
+  getChanges() {
+    const userId = this.getUserId();
+    return userId ? this.changes.filter(change => change.userId === userId) : [];
+  }
+
+  getPending() {
+    return this.getChanges().filter(change => !change.conflict);
+  }
+
+  getConflicts() {
+    return this.getChanges().filter(change => change.conflict);
+  }
+
+  // ===========================
+  // QUEUEING
+  // ===========================
+  // fields are the record columns as the forms save them (see
+  // Dashboard.getRecordFields)
+  async queueInsert(recordId, fields, completeReminderId = null) {
+    await this.enqueue({
+      type: "insert",
+      recordId,
+      fields,
+      completeReminderId,
+    });
+  }
+
+  async queueUpdate(record, fields) {
+    const queued = this.findQueued(record.id);
+
+    // Fold into the change that hasn't synced yet, keeping its base version
+    if (queued) {
+      queued.fields = { ...queued.fields, ...fields };
+      await this.saveChange(queued);
+      return;
+    }
+
+    await this.enqueue({
+      type: "update",
+      recordId: record.id,
+      fields,
+      baseUpdatedAt: record.updated_at,
+    });
+  }
+
+  async queueDelete(record) {
+    const queued = this.findQueued(record.id);
+
+    // A record added offline never reached the server, so just drop it
+    if (queued?.type === "insert") {
+      await this.dropChange(queued);
+      return;
+    }
+
+    if (queued) {
+      queued.type = "delete";
+      queued.fields = {};
+      await this.saveChange(queued);
+      return;
+    }
+
+    await this.enqueue({
+      type: "delete",
+      recordId: record.id,
+      fields: {},
+      baseUpdatedAt: record.updated_at,
+    });
+  }
+
+  findQueued(recordId) {
+    return this.getChanges().find(change => change.recordId === recordId && !change.conflict);
+  }
+
+  async enqueue(change) {
+    const queued = {
+      ...change,
+      userId: this.getUserId(),
+      queuedAt: new Date().toISOString(),
+      conflict: null,
+    };
+    queued.id = await addToQueue(queued);
+    this.changes.push(queued);
+    this.renderStatus();
+  }
+
+  async saveChange(change) {
+    await updateInQueue(change);
+    this.renderStatus();
+  }
+
+  async dropChange(change) {
+    await removeFromQueue(change.id);
+    this.changes = this.changes.filter(c => c.id !== change.id);
+    this.renderStatus();
+  }
+
+  // Drops the user's changes and the cached records on sign out, once they
+  // have agreed to lose anything unsynced
+  async clear() {
+    const changes = this.getChanges();
+    this.changes = this.changes.filter(change => !changes.includes(change));
+    await Promise.all([
+      ...changes.map(change => removeFromQueue(change.id)),
+      clearCache(),
+    ]);
+    this.renderStatus();
+  }
+
+  // ===========================
+  // LOCAL VIEW
+  // ===========================
+  // Layers queued changes over loaded records so the dashboard shows them
+  // before they sync. inScope says whether a new record belongs in the list.
+  applyPending(records, inScope = () => true) {
+    let result = [...records];
+
+    this.getChanges().forEach(change => {
+      if (change.type === "insert") {
+        const row = { id: change.recordId, ...change.fields, record_attachments: [], pending: true };
+        if (inScope(row) && !result.some(r => r.id === row.id)) {
+          const dashboard = window.dashboard;
+          row.profiles = [...(dashboard?.patients || []), ...(dashboard?.people || [])]
+            .find(p => p.id === row.user_id) || null;
+          result.push(row);
+        }
+      } else if (change.type === "update") {
+        result = result.map(r => r.id === change.recordId ? { ...r, ...change.fields, pending: true } : r);
+      } else if (change.type === "delete") {
+        result = result.filter(r => r.id !== change.recordId);
+      }
+    });
+
+    return result.sort((a, b) => (b.date_given || "").localeCompare(a.date_given || ""));
+  }
+
+  // ===========================
+  // REPLAY
+  // ===========================
+  async sync() {
+    this.renderStatus();
+    if (!this.getUserId() || this.syncing || this.isOffline() || this.getPending().length === 0) return;
+
+    this.syncing = true;
+    this.renderStatus();
+
+    let synced = 0;
+    let conflicts = 0;
+
+    try {
+      for (const change of this.getPending()) {
+        try {
+          const conflict = await this.replay(change);
+          if (conflict) {
+            change.conflict = conflict;
+            await this.saveChange(change);
+            conflicts++;
+          } else {
+            await this.dropChange(change);
+            synced++;
+          }
+        } catch (error) {
+          // Lost the connection again; the rest waits for the next try
+          if (isNetworkError(error)) break;
+
+          console.error("Error syncing change:", error);
+          change.conflict = { reason: `Could not be saved: ${error.message || error}`, server: null, retry: true };
+          await this.saveChange(change);
+          conflicts++;
+        }
+      }
+    } finally {
+      this.syncing = false;
+      this.renderStatus();
+    }
+
+    if (synced > 0) {
+      showToast(`Synced ${synced} offline change${synced === 1 ? "" : "s"}`, "success");
+    }
+    if (conflicts > 0) {
+      showToast(`${conflicts} offline change${conflicts === 1 ? "" : "s"} need${conflicts === 1 ? "s" : ""} review`, "warning", 8000, {
+        label: "Review",
+        onClick: () => this.open(),
+      });
+    }
+
+    if (window.dashboard?.isInitialized) await window.dashboard.refreshDashboard();
+  }
+
+  // Applies one change. Resolves to null once it's saved, or to the
+  // conflict that stopped it.
+  async replay(change) {
+    const dashboard = window.dashboard;
+
+    if (change.type === "insert") {
+      const { error } = await supabase
+        .from("vaccination_records")
+        .insert([{ id: change.recordId, ...change.fields }]);
+
+      // Already inserted by an earlier attempt that lost its response; the
+      // reminder steps below are safe to repeat
+      if (error && error.code !== "23505") throw error;
+
+      await dashboard.updateRecordReminder(change.recordId, change.fields.next_due, change.fields.user_id);
+      if (change.completeReminderId) {
+        await dashboard.completeReminder(change.completeReminderId, change.recordId);
+      }
+      return null;
+    }
+
+    // Only touch the row if nobody changed it since it was loaded
+    const update = change.type === "delete"
+      ? { deleted_at: new Date().toISOString() }
+      : change.fields;
+
+    const { data, error } = await supabase
+      .from("vaccination_records")
+      .update(update)
+      .eq("id", change.recordId)
+      .eq("updated_at", change.baseUpdatedAt)
+      .is("deleted_at", null)
+      .select("id");
+
+    if (error) throw error;
+    if (data.length === 0) return await this.describeConflict(change);
+
+    if (change.type === "update") {
+      await dashboard.updateRecordReminder(change.recordId, change.fields.next_due, change.fields.user_id);
+    }
+    return null;
+  }
+
+  async describeConflict(change) {
+    const { data: server, error } = await supabase
+      .from("vaccination_records")
+      .select("*")
+      .eq("id", change.recordId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    // An earlier attempt may have gone through and only lost its response
+    if (change.type === "delete") {
+      return !server || server.deleted_at
+        ? null
+        : { reason: `Changed by someone else on ${formatDate(server.updated_at)}`, server };
+    }
+
+    if (!server || server.deleted_at) {
+      return { reason: "The record was deleted by someone else", server: null };
+    }
+
+    const alreadySaved = Object.entries(change.fields)
+      .every(([field, value]) => (value ?? null) === (server[field] ?? null));
+    if (alreadySaved) {
+      await window.dashboard.updateRecordReminder(change.recordId, change.fields.next_due, change.fields.user_id);
+      return null;
+    }
+
+    return { reason: `Changed by someone else on ${formatDate(server.updated_at)}`, server };
+  }
+
+  // "mine" replays the change over the server's current version (or just
+  // retries one that failed); "server" throws the change away
+  async resolve(changeId, keep) {
+    const change = this.getChanges().find(c => c.id === changeId);
+    if (!change) return;
+
+    try {
+      if (keep === "mine" && (change.conflict?.server || change.conflict?.retry)) {
+        if (change.conflict.server) change.baseUpdatedAt = change.conflict.server.updated_at;
+        change.conflict = null;
+        await this.saveChange(change);
+        await this.sync();
+      } else {
+        await this.dropChange(change);
+        if (window.dashboard?.isInitialized) await window.dashboard.refreshDashboard();
+      }
+    } catch (error) {
+      console.error("Error resolving sync conflict:", error);
+      showToast("Error resolving conflict", "error");
+    }
+
+    this.renderList();
+  }
+
+  // ===========================
+  // STATUS INDICATOR
+  // ===========================
+  renderStatus() {
+    const status = document.getElementById("sync-status");
+    if (status) {
+      const pending = this.getPending().length;
+      const conflicts = this.getConflicts().length;
+
+      let state = "synced";
+      let icon = "fa-cloud";
+      let label = "Synced";
+
+      if (conflicts > 0) {
+        state = "conflict";
+        icon = "fa-exclamation-triangle";
+        label = `${conflicts} conflict${conflicts === 1 ? "" : "s"}`;
+      } else if (this.syncing) {
+        state = "syncing";
+        icon = "fa-sync fa-spin";
+        label = "Syncing...";
+      } else if (this.isOffline()) {
+        state = "offline";
+        icon = "fa-plane";
+        label = pending > 0 ? `Offline · ${pending} pending` : "Offline";
+      } else if (pending > 0) {
+        state = "pending";
+        icon = "fa-sync";
+        label = `${pending} pending`;
+      }
+
+      status.className = `btn btn-ghost sync-status ${state}`;
+      status.innerHTML = `<i class="fas ${icon}"></i> ${label}`;
+    }
+
+    this.renderList();
+  }
+
+  // ===========================
+  // SYNC MODAL
+  // ===========================
+  open() {
+    this.renderList();
+    window.modals?.openModal("sync-modal");
+  }
+
+  renderList() {
+    const container = document.getElementById("sync-list");
+    if (!container) return;
+
+    const syncNowBtn = document.getElementById("sync-now-btn");
+    if (syncNowBtn) syncNowBtn.disabled = this.isOffline() || this.getPending().length === 0;
+
+    const changes = this.getChanges();
+    if (changes.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <i class="fas fa-cloud"></i>
+          <h3>Everything is synced</h3>
+          <p>Changes made while offline appear here until they're saved.</p>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = changes.map(change => this.renderChange(change)).join("");
+  }
+
+  renderChange(change) {
+    const actions = { insert: "Add", update: "Edit", delete: "Delete" };
+    const record = window.dashboard?.records.find(r => r.id === change.recordId);
+    const fields = { ...record, ...change.fields };
+    const title = fields.vaccine_name
+      ? `${fields.vaccine_name} - Dose ${fields.dose_number}`
+      : "Vaccination record";
+
+    return `
+      <div class="sync-item ${change.conflict ? "conflict" : ""}">
+        <div class="sync-item-info">
+          <h4>${actions[change.type]}: ${title}</h4>
+          <p>
+            ${change.conflict
+              ? change.conflict.reason
+              : `Waiting to sync · made ${formatDate(change.queuedAt)}`}
+          </p>
+          ${change.conflict?.server ? this.renderConflictDiff(change) : ""}
+        </div>
+        ${change.conflict ? `
+          <div class="sync-item-actions">
+            ${change.conflict.server || change.conflict.retry ? `
+              <button class="btn btn-secondary" type="button" onclick="window.sync.resolve(${change.id}, 'mine')">
+                ${change.conflict.server ? "Keep Mine" : "Retry"}
+              </button>
+            ` : ""}
+            <button class="btn btn-secondary" type="button" onclick="window.sync.resolve(${change.id}, 'server')">
+              ${change.conflict.server ? "Use Theirs" : "Discard Mine"}
+            </button>
+          </div>
+        ` : ""}
+      </div>
+    `;
+  }
+
+  renderConflictDiff(change) {
+    const server = change.conflict.server;
+    const rows = Object.entries(CONFLICT_FIELDS)
+      .filter(([field]) => field in change.fields && (change.fields[field] ?? null) !== (server[field] ?? null))
+      .map(([field, label]) => `
+        <tr>
+          <th>${label}</th>
+          <td>${change.fields[field] ?? "—"}</td>
+          <td>${server[field] ?? "—"}</td>
+        </tr>
+      `)
+      .join("");
+
+    return rows
+      ? `
+        <table class="sync-diff">
+          <thead><tr><th></th><th>Mine</th><th>Theirs</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `
+      : "";
+  }
+}
+
+export default SyncManager;
@@ -1,7 +1,8 @@
 // ==========================
 // Toast Notification System
 // ==========================
-export function showToast(message, type = "info", duration = 5000) {
+// An optional action ({ label, onClick }) adds a button such as "Undo"
+export function showToast(message, type = "info", duration = 5000, action = null) {
   const container = document.getElementById("toast-container");
   if (!container) return;
 
@@ -22,6 +23,7 @@ export function showToast(message, type = "info", duration = 5000) {
     <div class="toast-content">
       <div class="toast-message">${message}</div>
     </div>
+    ${action ? `<button class="toast-action" type="button">${action.label}</button>` : ""}
     <button class="toast-close">
       <i class="fas fa-times"></i>
     </button>
@@ -32,6 +34,13 @@ export function showToast(message, type = "info", duration = 5000) {
     .querySelector(".toast-close")
     .addEventListener("click", () => removeToast(toast));
 
+  if (action) {
+    toast.querySelector(".toast-action").addEventListener("click", () => {
+      removeToast(toast);
+      action.onClick();
+    });
+  }
+
   container.appendChild(toast);
 
   // Auto-remove after duration
@@ -58,6 +67,20 @@ export function formatDate(dateString) {
   });
 }
 
+// ==========================
+// HTML Escaping
+// ==========================
+// For text from outside the app (scanned cards, imported files) that is
+// rendered with innerHTML
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 // ==========================
 // Vaccine Status
 // ==========================
@@ -94,6 +117,18 @@ export function isValidEmail(email) {
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 }
 
+// ==========================
+// Local Dates
+// ==========================
+// "YYYY-MM-DD" for the user's own calendar day, as date inputs use;
+// toISOString would give the UTC day instead
+export function toDateString(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+}
+
 // ==========================
 // Days Between Two Dates
 // ==========================
@@ -102,6 +137,24 @@ export function daysBetween(date1, date2) {
   return Math.round(Math.abs(new Date(date1) - new Date(date2)) / oneDayMs);
 }
 
+// ==========================
+// Add Months to a Date
+// ==========================
+// Works on "YYYY-MM-DD" strings so the result never shifts with the local
+// timezone. Days past the end of the target month clamp to its last day.
+export function addMonths(dateString, months) {
+  if (!dateString) return null;
+
+  const [year, month, day] = dateString.split("-").map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(
+    Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+
+  return target.toISOString().split("T")[0];
+}
+
 // ==========================
 // Relative Time Formatting
 // ==========================
@@ -133,6 +186,24 @@ export function formatRelativeTime(dateString) {
     : `${months} month${months > 1 ? "s" : ""} ago`;
 }
 
+// ==========================
+// File Downloads
+// ==========================
+export function downloadFile(fileName, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Revoking straight away can cancel the download in Firefox and Safari
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // ==========================
 // Add CSS for Toast Animation
 // ==========================
@@ -0,0 +1,329 @@
+import { supabase } from "./supabase-client.js";
+import { showToast } from "./utils.js";
+import { cachedQuery } from "./offline-store.js";
+import { parseDoseSchedule, parseSeasonStart, describeRecurrence } from "./schedules.js";
+
+class VaccineCatalog {
+  constructor() {
+    this.vaccines = [];
+    this.init();
+  }
+
+  init() {
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document
+      .getElementById("vaccine-catalog-btn")
+      ?.addEventListener("click", () => this.open());
+
+    document
+      .getElementById("catalog-form")
+      ?.addEventListener("submit", (e) => this.handleSubmit(e));
+
+    document
+      .getElementById("catalog-form-reset")
+      ?.addEventListener("click", () => this.resetForm());
+  }
+
+  // ===========================
+  // LOADING
+  // ===========================
+  async load() {
+    try {
+      const { data: vaccines, error } = await cachedQuery("vaccines", () => supabase
+        .from("vaccines")
+        .select("*")
+        .order("name", { ascending: true }));
+
+      if (error) throw error;
+
+      this.vaccines = vaccines || [];
+      console.log(`Loaded ${this.vaccines.length} catalog vaccines`);
+    } catch (error) {
+      console.error("Error loading vaccine catalog:", error);
+      showToast("Error loading vaccine catalog", "error");
+      this.vaccines = [];
+    }
+
+    this.populateSelects();
+    return this.vaccines;
+  }
+
+  findByName(name) {
+    return this.vaccines.find(v => v.name === name) || null;
+  }
+
+  findByCode(code) {
+    return this.vaccines.find(v => v.code === code) || null;
+  }
+
+  isCatalogVaccine(name) {
+    return !!this.findByName(name);
+  }
+
+  getLabel(vaccine) {
+    return vaccine.description
+      ? `${vaccine.name} (${vaccine.description})`
+      : vaccine.name;
+  }
+
+  // Rebuilds the add/edit vaccine dropdowns, keeping the "Other" custom path
+  populateSelects() {
+    const options = this.vaccines
+      .map(v => `<option value="${v.name}">${this.getLabel(v)}</option>`)
+      .join("");
+
+    ["vaccine-name", "edit-vaccine-name"].forEach(selectId => {
+      const select = document.getElementById(selectId);
+      if (!select) return;
+
+      const selected = select.value;
+      select.innerHTML = `
+        <option value="">Select a vaccine</option>
+        ${options}
+        <option value="Other">Other</option>
+      `;
+      select.value = selected;
+    });
+  }
+
+  // ===========================
+  // ADMIN CATALOG SCREEN
+  // ===========================
+  async open() {
+    if (!window.dashboard?.checkAdminPermission("manage the vaccine catalog")) return;
+
+    this.resetForm();
+    window.modals?.openModal("vaccine-catalog-modal");
+    await this.load();
+    this.renderList();
+  }
+
+  renderList() {
+    const container = document.getElementById("catalog-list");
+    if (!container) return;
+
+    if (this.vaccines.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <i class="fas fa-vial"></i>
+          <h3>No vaccines in the catalog</h3>
+          <p>Add a vaccine to make it available in the record forms.</p>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = this.vaccines.map(v => this.renderItem(v)).join("");
+  }
+
+  renderItem(vaccine) {
+    const booster = describeRecurrence(vaccine) || "No booster";
+    const schedule = vaccine.dose_schedule_months?.length
+      ? ` at ${vaccine.dose_schedule_months.join("/")} months`
+      : "";
+
+    return `
+      <div class="catalog-item">
+        <div class="catalog-info">
+          <h4>
+            ${this.getLabel(vaccine)}
+            ${vaccine.code ? `<span class="catalog-code">CVX ${vaccine.code}</span>` : ""}
+          </h4>
+          <p>
+            ${vaccine.primary_series_doses} dose${vaccine.primary_series_doses > 1 ? "s" : ""} in primary series${schedule} · ${booster}
+          </p>
+        </div>
+        <div class="record-actions">
+          <button
+            class="btn-icon"
+            type="button"
+            onclick="window.vaccineCatalog.editVaccine('${vaccine.id}')"
+            title="Edit Vaccine"
+            aria-label="Edit vaccine"
+          >
+            <i class="fas fa-edit"></i>
+          </button>
+          <button
+            class="btn-icon btn-danger"
+            type="button"
+            onclick="window.vaccineCatalog.deleteVaccine('${vaccine.id}')"
+            title="Delete Vaccine"
+            aria-label="Delete vaccine"
+          >
+            <i class="fas fa-trash"></i>
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  editVaccine(vaccineId) {
+    const vaccine = this.vaccines.find(v => v.id === vaccineId);
+    if (!vaccine) {
+      showToast("Vaccine not found", "error");
+      return;
+    }
+
+    document.getElementById("catalog-id").value = vaccine.id;
+    document.getElementById("catalog-name").value = vaccine.name;
+    document.getElementById("catalog-code").value = vaccine.code || "";
+    document.getElementById("catalog-description").value = vaccine.description || "";
+    document.getElementById("catalog-doses").value = vaccine.primary_series_doses;
+    document.getElementById("catalog-schedule").value = (vaccine.dose_schedule_months || []).join(", ");
+    document.getElementById("catalog-booster").value = vaccine.booster_interval_months || "";
+    document.getElementById("catalog-season-start").value = vaccine.season_start || "";
+    document.getElementById("catalog-form-title").textContent = "Edit Vaccine";
+  }
+
+  resetForm() {
+    document.getElementById("catalog-form")?.reset();
+    const idInput = document.getElementById("catalog-id");
+    if (idInput) idInput.value = "";
+    const title = document.getElementById("catalog-form-title");
+    if (title) title.textContent = "Add Vaccine";
+  }
+
+  getFormData() {
+    const booster = document.getElementById("catalog-booster")?.value;
+    let schedule;
+    try {
+      schedule = parseDoseSchedule(document.getElementById("catalog-schedule")?.value);
+    } catch (error) {
+      schedule = error;
+    }
+
+    let seasonStart;
+    try {
+      seasonStart = parseSeasonStart(document.getElementById("catalog-season-start")?.value);
+    } catch (error) {
+      seasonStart = error;
+    }
+
+    return {
+      id: document.getElementById("catalog-id")?.value || null,
+      name: document.getElementById("catalog-name")?.value.trim() || "",
+      code: document.getElementById("catalog-code")?.value.trim() || null,
+      description: document.getElementById("catalog-description")?.value.trim() || null,
+      primary_series_doses: parseInt(document.getElementById("catalog-doses")?.value),
+      booster_interval_months: booster ? parseInt(booster) : null,
+      dose_schedule_months: schedule,
+      season_start: seasonStart,
+    };
+  }
+
+  validate(formData) {
+    if (!formData.name) {
+      showToast("Vaccine name is required", "error");
+      return false;
+    }
+
+    if (formData.name === "Other") {
+      showToast('"Other" is reserved for custom vaccine names', "error");
+      return false;
+    }
+
+    const duplicate = this.vaccines.find(
+      v => v.name.toLowerCase() === formData.name.toLowerCase() && v.id !== formData.id
+    );
+    if (duplicate) {
+      showToast("A vaccine with this name already exists", "error");
+      return false;
+    }
+
+    if (isNaN(formData.primary_series_doses) || formData.primary_series_doses < 1) {
+      showToast("Primary series doses must be a positive integer", "error");
+      return false;
+    }
+
+    if (formData.dose_schedule_months instanceof Error) {
+      showToast(formData.dose_schedule_months.message, "error");
+      return false;
+    }
+
+    if (formData.dose_schedule_months &&
+        formData.dose_schedule_months.length !== formData.primary_series_doses) {
+      showToast("Dose schedule needs one entry per dose in the primary series", "error");
+      return false;
+    }
+
+    if (formData.booster_interval_months !== null &&
+        (isNaN(formData.booster_interval_months) || formData.booster_interval_months < 1)) {
+      showToast("Booster interval must be a positive number of months", "error");
+      return false;
+    }
+
+    if (formData.season_start instanceof Error) {
+      showToast(formData.season_start.message, "error");
+      return false;
+    }
+
+    if (formData.season_start && formData.booster_interval_months !== null) {
+      showToast("Give either a booster interval or a season start, not both", "error");
+      return false;
+    }
+
+    return true;
+  }
+
+  async handleSubmit(e) {
+    e.preventDefault();
+    if (!window.dashboard?.checkAdminPermission("manage the vaccine catalog")) return;
+
+    const { id, ...formData } = this.getFormData();
+    if (!this.validate({ id, ...formData })) return;
+
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+
+    try {
+      if (submitBtn) submitBtn.disabled = true;
+
+      const { error } = id
+        ? await supabase.from("vaccines").update(formData).eq("id", id)
+        : await supabase.from("vaccines").insert([formData]);
+
+      if (error) throw error;
+
+      showToast(id ? "Vaccine updated successfully!" : "Vaccine added successfully!", "success");
+      this.resetForm();
+      await this.load();
+      this.renderList();
+    } catch (error) {
+      console.error("Error saving vaccine:", error);
+      showToast("Error saving vaccine", "error");
+    } finally {
+      if (submitBtn) submitBtn.disabled = false;
+    }
+  }
+
+  async deleteVaccine(vaccineId) {
+    if (!window.dashboard?.checkAdminPermission("manage the vaccine catalog")) return;
+
+    const vaccine = this.vaccines.find(v => v.id === vaccineId);
+    if (!vaccine) {
+      showToast("Vaccine not found", "error");
+      return;
+    }
+
+    // Existing records keep their vaccine name and show up as custom vaccines
+    if (!window.confirm(`Remove ${vaccine.name} from the catalog? Existing records are kept.`)) {
+      return;
+    }
+
+    try {
+      const { error } = await supabase.from("vaccines").delete().eq("id", vaccineId);
+      if (error) throw error;
+
+      showToast("Vaccine removed from catalog", "success");
+      await this.load();
+      this.renderList();
+    } catch (error) {
+      console.error("Error deleting vaccine:", error);
+      showToast("Error deleting vaccine", "error");
+    }
+  }
+}
+
+export default VaccineCatalog;
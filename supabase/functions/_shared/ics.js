@@ -0,0 +1,126 @@
+// =============================================
+// iCalendar (RFC 5545)
+// =============================================
+// Shared by the app's .ics downloads (src/calendar.js) and the
+// calendar-feed Edge Function, so both write identical events: UIDs match
+// and re-imports update in place. Reminders become all-day events on their
+// due date with a reminder alarm the morning before. Plain JavaScript so
+// the browser can load it without a build step.
+
+const PRODID = "-//VaxTracker//Reminders//EN";
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {string} uid
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} summary
+ * @property {string} description
+ */
+
+/**
+ * @typedef {Object} CalendarOptions
+ * @property {string} [name]
+ * @property {string} [refreshInterval] - How often subscribed calendars
+ *   should refresh, as an ISO 8601 duration (e.g. PT12H); leave out for
+ *   one-off downloads
+ */
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 characters continue on the next line after a space
+function foldLine(line) {
+  const parts = [];
+  for (let i = 0; i < line.length; i += 74) {
+    parts.push((i === 0 ? "" : " ") + line.slice(i, i + 74));
+  }
+  return parts.join("\r\n");
+}
+
+function toIcsDate(dateString) {
+  return dateString.slice(0, 10).replace(/-/g, "");
+}
+
+function nextDay(dateString) {
+  const date = new Date(`${dateString.slice(0, 10)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * A loaded reminder (with its vaccination_records and profiles joins) as an
+ * event; the person's name is added when it isn't the viewer's own reminder
+ * @param {Object} reminder
+ * @param {string} [personName]
+ * @returns {CalendarEvent}
+ */
+export function reminderToEvent(reminder, personName = "") {
+  const vaccineName = reminder.vaccination_records?.vaccine_name || "Vaccination";
+  const doseNumber = reminder.vaccination_records?.dose_number || 1;
+  const title = `${vaccineName} - Dose ${doseNumber} due`;
+
+  return {
+    uid: `reminder-${reminder.id}@vaxtracker`,
+    date: reminder.due_date,
+    summary: personName ? `${title} (${personName})` : title,
+    description: [
+      `Vaccine: ${vaccineName}`,
+      `Dose: ${doseNumber}`,
+      personName && `Patient: ${personName}`,
+      "From VaxTracker",
+    ].filter(Boolean).join("\n"),
+  };
+}
+
+/**
+ * @param {CalendarEvent[]} events
+ * @param {CalendarOptions} [options]
+ * @returns {string}
+ */
+export function buildCalendar(events, options = {}) {
+  const { name = "Vaccination Reminders", refreshInterval } = options;
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  if (refreshInterval) {
+    lines.push(
+      `REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`,
+      `X-PUBLISHED-TTL:${refreshInterval}`,
+    );
+  }
+
+  events.forEach((event) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${toIcsDate(event.date)}`,
+      `DTEND;VALUE=DATE:${toIcsDate(nextDay(event.date))}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `DESCRIPTION:${escapeText(event.description)}`,
+      "TRANSP:TRANSPARENT",
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `DESCRIPTION:${escapeText(event.summary)}`,
+      "TRIGGER:-PT15H",
+      "END:VALARM",
+      "END:VEVENT",
+    );
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,91 @@
+// =============================================
+// Calendar Feed Edge Function
+// =============================================
+// Serves an account's pending reminders as an iCalendar feed that calendar
+// apps subscribe to:
+//
+//   GET /calendar-feed?token=<calendar_feeds.token>
+//
+// Calendar apps cannot sign in, so the private token in the URL is the only
+// credential. Deploy with --no-verify-jwt; the token is looked up with the
+// service role and the feed is limited to the token owner and their
+// dependents. Events are built by the same code as the app's .ics
+// downloads (../_shared/ics.js).
+import { createClient } from "npm:@supabase/supabase-js@2";
+import { buildCalendar, reminderToEvent } from "../_shared/ics.js";
+
+const supabase = createClient(
+  Deno.env.get("SUPABASE_URL")!,
+  Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!,
+);
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, OPTIONS",
+};
+
+// =============================================
+// Feed
+// =============================================
+async function serveFeed(req: Request) {
+  const token = new URL(req.url).searchParams.get("token");
+  if (!token) return new Response("Missing token", { status: 400, headers: corsHeaders });
+
+  const { data: feed, error: feedError } = await supabase
+    .from("calendar_feeds")
+    .select("user_id")
+    .eq("token", token)
+    .maybeSingle();
+
+  if (feedError) throw feedError;
+  if (!feed) return new Response("Unknown calendar feed", { status: 404, headers: corsHeaders });
+
+  const { data: people, error: peopleError } = await supabase
+    .from("profiles")
+    .select("id")
+    .or(`id.eq.${feed.user_id},managed_by.eq.${feed.user_id}`);
+
+  if (peopleError) throw peopleError;
+
+  const { data: reminders, error: remindersError } = await supabase
+    .from("reminders")
+    .select(`
+      id, user_id, due_date,
+      vaccination_records(vaccine_name, dose_number),
+      profiles!reminders_user_id_fkey(full_name)
+    `)
+    .in("user_id", (people || []).map((p) => p.id))
+    .is("deleted_at", null)
+    .is("dismissed_at", null)
+    .is("completed_at", null)
+    .order("due_date", { ascending: true });
+
+  if (remindersError) throw remindersError;
+
+  // Dependents' reminders say whose dose is due
+  const events = (reminders || []).map((reminder: any) =>
+    reminderToEvent(reminder, reminder.user_id === feed.user_id ? "" : reminder.profiles?.full_name || "")
+  );
+
+  // Ask subscribed calendars to refresh twice a day
+  return new Response(buildCalendar(events, { refreshInterval: "PT12H" }), {
+    headers: {
+      ...corsHeaders,
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="vaccination-reminders.ics"',
+      "Cache-Control": "private, max-age=300",
+    },
+  });
+}
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") return new Response("ok", { headers: corsHeaders });
+  if (req.method !== "GET") return new Response("Method not allowed", { status: 405, headers: corsHeaders });
+
+  try {
+    return await serveFeed(req);
+  } catch (error) {
+    console.error("Error in calendar-feed function:", error);
+    return new Response("Could not load calendar feed", { status: 500, headers: corsHeaders });
+  }
+});
@@ -0,0 +1,221 @@
+// =============================================
+// Health Cards Edge Function
+// =============================================
+// Issues SMART Health Card–style credentials: a patient's immunizations as a
+// FHIR Bundle inside a compressed, ES256-signed JWS, plus the numeric
+// "shc:/" form that goes into a QR code.
+//
+//   POST /health-cards                        { patient_id } -> { jws, qr, skipped }
+//   GET  /health-cards/.well-known/jwks.json  public signing key
+//
+// The signing key is an EC P-256 private JWK in the HEALTH_CARD_PRIVATE_JWK
+// secret. Deploy with --no-verify-jwt so verifiers can fetch the JWKS; POST
+// requests are authorized below with the caller's own token, so row level
+// security decides whose records can be issued.
+import { createClient } from "npm:@supabase/supabase-js@2";
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!;
+const SUPABASE_ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY")!;
+const ISSUER = Deno.env.get("HEALTH_CARD_ISSUER") || `${SUPABASE_URL}/functions/v1/health-cards`;
+const CVX_SYSTEM = "http://hl7.org/fhir/sid/cvx";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+};
+
+function json(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+// =============================================
+// Keys
+// =============================================
+function getPrivateJwk() {
+  const secret = Deno.env.get("HEALTH_CARD_PRIVATE_JWK");
+  if (!secret) throw new Error("HEALTH_CARD_PRIVATE_JWK is not set");
+  return JSON.parse(secret);
+}
+
+function base64url(bytes: Uint8Array) {
+  let binary = "";
+  bytes.forEach((b) => (binary += String.fromCharCode(b)));
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// RFC 7638 thumbprint, used as the key id
+async function getKeyId(jwk: JsonWebKey) {
+  const canonical = JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y });
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(canonical));
+  return base64url(new Uint8Array(digest));
+}
+
+async function getPublicJwks() {
+  const { crv, kty, x, y } = getPrivateJwk();
+  const publicJwk = { kty, crv, x, y };
+  return {
+    keys: [{ ...publicJwk, kid: await getKeyId(publicJwk), use: "sig", alg: "ES256" }],
+  };
+}
+
+// =============================================
+// Credential
+// =============================================
+// Health cards only carry coded immunizations, so records without a CVX
+// code in the catalog are returned as skipped
+function buildFhirBundle(profile: any, records: any[], vaccines: any[]) {
+  // Profiles keep one full name; treat the last word as the family name
+  const parts = (profile.full_name || "").trim().split(/\s+/).filter(Boolean);
+  const name = parts.length > 1
+    ? { family: parts[parts.length - 1], given: parts.slice(0, -1) }
+    : { text: profile.full_name || "" };
+
+  const entry: any[] = [{
+    fullUrl: "resource:0",
+    resource: {
+      resourceType: "Patient",
+      name: [name],
+      ...(profile.date_of_birth && { birthDate: profile.date_of_birth }),
+    },
+  }];
+  const skipped: string[] = [];
+
+  records.forEach((record) => {
+    const code = vaccines.find((v) => v.name === record.vaccine_name)?.code;
+    if (!code) {
+      skipped.push(record.vaccine_name);
+      return;
+    }
+
+    entry.push({
+      fullUrl: `resource:${entry.length}`,
+      resource: {
+        resourceType: "Immunization",
+        status: "completed",
+        vaccineCode: { coding: [{ system: CVX_SYSTEM, code }] },
+        patient: { reference: "resource:0" },
+        occurrenceDateTime: record.date_given,
+        ...(record.lot_number && { lotNumber: record.lot_number }),
+        ...((record.location || record.provider) && {
+          performer: [{ actor: { display: record.location || record.provider } }],
+        }),
+        protocolApplied: [{ doseNumberPositiveInt: record.dose_number }],
+      },
+    });
+  });
+
+  return {
+    bundle: { resourceType: "Bundle", type: "collection", entry },
+    skipped: [...new Set(skipped)],
+  };
+}
+
+async function deflateRaw(text: string) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function signJws(payload: unknown) {
+  const privateJwk = getPrivateJwk();
+  const { crv, kty, x, y } = privateJwk;
+  const header = { alg: "ES256", zip: "DEF", kid: await getKeyId({ crv, kty, x, y }) };
+
+  const encodedHeader = base64url(new TextEncoder().encode(JSON.stringify(header)));
+  const encodedPayload = base64url(await deflateRaw(JSON.stringify(payload)));
+  const signingInput = `${encodedHeader}.${encodedPayload}`;
+
+  const key = await crypto.subtle.importKey(
+    "jwk",
+    privateJwk,
+    { name: "ECDSA", namedCurve: "P-256" },
+    false,
+    ["sign"],
+  );
+  // WebCrypto returns the raw r||s signature JWS expects
+  const signature = await crypto.subtle.sign(
+    { name: "ECDSA", hash: "SHA-256" },
+    key,
+    new TextEncoder().encode(signingInput),
+  );
+
+  return `${signingInput}.${base64url(new Uint8Array(signature))}`;
+}
+
+// Numeric QR mode: each character becomes two digits (char code - 45)
+function toQrNumeric(jws: string) {
+  return "shc:/" + [...jws].map((c) => String(c.charCodeAt(0) - 45).padStart(2, "0")).join("");
+}
+
+async function issueHealthCard(req: Request) {
+  const authorization = req.headers.get("Authorization");
+  if (!authorization) return json({ error: "Not signed in" }, 401);
+
+  // Queries run as the caller, so RLS limits them to people they can see
+  const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+    global: { headers: { Authorization: authorization } },
+  });
+
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) return json({ error: "Not signed in" }, 401);
+
+  const { patient_id: patientId } = await req.json();
+  if (!patientId) return json({ error: "patient_id is required" }, 400);
+
+  const [profileResult, recordsResult, vaccinesResult] = await Promise.all([
+    supabase.from("profiles").select("id, full_name, date_of_birth").eq("id", patientId).maybeSingle(),
+    supabase
+      .from("vaccination_records")
+      .select("vaccine_name, dose_number, date_given, lot_number, provider, location")
+      .eq("user_id", patientId)
+      .is("deleted_at", null)
+      .order("date_given", { ascending: true }),
+    supabase.from("vaccines").select("name, code"),
+  ]);
+
+  const error = profileResult.error || recordsResult.error || vaccinesResult.error;
+  if (error) throw error;
+  if (!profileResult.data) return json({ error: "Patient not found" }, 404);
+
+  const { bundle, skipped } = buildFhirBundle(
+    profileResult.data,
+    recordsResult.data || [],
+    vaccinesResult.data || [],
+  );
+  if (bundle.entry.length === 1) {
+    return json({ error: "No vaccinations with a CVX code to put on a health card" }, 422);
+  }
+
+  const jws = await signJws({
+    iss: ISSUER,
+    nbf: Math.floor(Date.now() / 1000),
+    vc: {
+      type: ["https://smarthealth.cards#health-card", "https://smarthealth.cards#immunization"],
+      credentialSubject: { fhirVersion: "4.0.1", fhirBundle: bundle },
+    },
+  });
+
+  return json({ jws, qr: toQrNumeric(jws), skipped });
+}
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") return new Response("ok", { headers: corsHeaders });
+
+  try {
+    const { pathname } = new URL(req.url);
+
+    if (req.method === "GET" && pathname.endsWith("/.well-known/jwks.json")) {
+      return json(await getPublicJwks());
+    }
+
+    if (req.method === "POST") return await issueHealthCard(req);
+
+    return json({ error: "Not found" }, 404);
+  } catch (error) {
+    console.error("Error in health-cards function:", error);
+    return json({ error: "Could not issue health card" }, 500);
+  }
+});
@@ -0,0 +1,441 @@
+// =============================================
+// Send Reminders Edge Function
+// =============================================
+// Scheduled job that notifies people about their reminders:
+//
+//   POST /send-reminders   -> { email, push, sms }
+//
+// Each reminder goes through stages set by the account holder's lead times:
+// before-<days> ahead of the due date, due on the day and overdue-<days>
+// after it. Each run sends the latest stage a reminder has reached, once
+// per channel, on the channels the patient (or account holder, for
+// dependents) chose: email, every browser they subscribed, and text
+// messages unless they replied STOP. Stages that pass while a reminder is snoozed are
+// replaced by a single "snoozed" one when the snooze ends; dismissed and
+// completed reminders send nothing.
+//
+// Every attempt is recorded in reminder_deliveries, and a stage is given
+// up on after REMINDER_MAX_ATTEMPTS failures. Only callable with the service
+// role key; see the README for the pg_cron schedule.
+import { createClient } from "npm:@supabase/supabase-js@2";
+import { renderReminderEmail, renderReminderSms } from "./template.ts";
+import { createEmailTransport, type EmailTransport } from "./transports.ts";
+import { pushEnabled, sendPush } from "./push.ts";
+import { createSmsProvider, type SmsProvider } from "./sms.ts";
+
+const SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+const MAX_ATTEMPTS = Number(Deno.env.get("REMINDER_MAX_ATTEMPTS") || 3);
+const APP_URL = Deno.env.get("APP_URL") || "http://localhost:5173";
+// Lead times are capped at a year, so nothing further out has a stage yet
+const MAX_STAGE_DAYS = 365;
+const DEFAULT_LEAD_DAYS = [30, 7, 1];
+const DEFAULT_OVERDUE_DAYS = [7, 30];
+const DEFAULT_CHANNELS = ["email", "push"];
+
+const supabase = createClient(Deno.env.get("SUPABASE_URL")!, SERVICE_ROLE_KEY);
+
+// Everything about the person notified: contact details and preferences
+const RECIPIENT_COLUMNS = `
+  full_name, email, phone, reminder_channels,
+  reminder_lead_days, reminder_overdue_days
+`;
+
+const REMINDER_COLUMNS = `
+  id, user_id, due_date, snoozed_until,
+  vaccination_records(vaccine_name, dose_number),
+  profiles!reminders_user_id_fkey(managed_by, ${RECIPIENT_COLUMNS})
+`;
+
+function json(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+function addDays(days: number, from = new Date().toISOString().slice(0, 10)) {
+  const date = new Date(`${from}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function daysBetween(from: string, to: string) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+// =============================================
+// Loading
+// =============================================
+async function loadReminders() {
+  const { data, error } = await supabase
+    .from("reminders")
+    .select(REMINDER_COLUMNS)
+    .is("deleted_at", null)
+    .is("dismissed_at", null)
+    .is("completed_at", null)
+    .or(`snoozed_until.not.is.null,due_date.gte.${addDays(-MAX_STAGE_DAYS)}`)
+    .lte("due_date", addDays(MAX_STAGE_DAYS))
+    .order("due_date", { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Dependents have no login of their own; their account holder is notified
+async function loadAccountHolders(reminders: any[]) {
+  const ids = [...new Set(reminders.map((r) => r.profiles?.managed_by).filter(Boolean))];
+  if (ids.length === 0) return new Map();
+
+  const { data, error } = await supabase
+    .from("profiles")
+    .select(`id, ${RECIPIENT_COLUMNS}`)
+    .in("id", ids);
+
+  if (error) throw error;
+  return new Map((data || []).map((p) => [p.id, p]));
+}
+
+function getRecipient(reminder: any, holders: Map<string, any>) {
+  const person = reminder.profiles || {};
+  return person.managed_by
+    ? { id: person.managed_by, ...holders.get(person.managed_by) }
+    : { id: reminder.user_id, ...person };
+}
+
+function wantsChannel(recipient: any, channel: string) {
+  return (recipient.reminder_channels || DEFAULT_CHANNELS).includes(channel);
+}
+
+// =============================================
+// Stages
+// =============================================
+// The latest stage the reminder has reached, with the date it started, or
+// null while it is snoozed or before its first stage
+function getCurrentStage(reminder: any, recipient: any, today: string) {
+  const leadDays: number[] = recipient.reminder_lead_days || DEFAULT_LEAD_DAYS;
+  const overdueDays: number[] = recipient.reminder_overdue_days || DEFAULT_OVERDUE_DAYS;
+  const snoozedUntil: string | null = reminder.snoozed_until;
+
+  if (snoozedUntil && snoozedUntil > today) return null;
+
+  const stages = [
+    ...leadDays.map((days) => ({ name: `before-${days}`, date: addDays(-days, reminder.due_date) })),
+    { name: "due", date: reminder.due_date },
+    ...overdueDays.map((days) => ({ name: `overdue-${days}`, date: addDays(days, reminder.due_date) })),
+  ].filter((stage) => !snoozedUntil || stage.date > snoozedUntil);
+
+  if (snoozedUntil) stages.push({ name: "snoozed", date: snoozedUntil });
+
+  return stages
+    .filter((stage) => stage.date <= today)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .pop() || null;
+}
+
+// Whether a stage still needs sending; a reminder snoozed again gets a new
+// "snoozed" stage, so only attempts since the stage began count
+function checkStage(deliveries: Map<string, any[]>, reminder: any, stage: { name: string; date: string }) {
+  const attempts = (deliveries.get(`${reminder.id}|${stage.name}`) || [])
+    .filter((d) => d.attempted_at.slice(0, 10) >= stage.date);
+
+  if (attempts.some((d) => d.status === "sent")) return "done";
+  if (attempts.length >= MAX_ATTEMPTS) return "given-up";
+  return "pending";
+}
+
+// Past delivery attempts per reminder and stage
+async function loadDeliveries(reminders: any[], channel: string) {
+  const deliveries = new Map<string, any[]>();
+  if (reminders.length === 0) return deliveries;
+
+  const { data, error } = await supabase
+    .from("reminder_deliveries")
+    .select("reminder_id, stage, status, attempted_at")
+    .eq("channel", channel)
+    .in("reminder_id", reminders.map((r) => r.id));
+
+  if (error) throw error;
+  (data || []).forEach((d) => {
+    const key = `${d.reminder_id}|${d.stage}`;
+    deliveries.set(key, [...(deliveries.get(key) || []), d]);
+  });
+  return deliveries;
+}
+
+async function recordDelivery(
+  reminder: any,
+  channel: string,
+  recipient: string | null,
+  status: string,
+  stage: string,
+  error: string | null = null,
+) {
+  const { error: insertError } = await supabase.from("reminder_deliveries").insert([{
+    reminder_id: reminder.id,
+    user_id: reminder.user_id,
+    channel,
+    stage,
+    recipient,
+    status,
+    error,
+  }]);
+
+  if (insertError) console.error("Error recording delivery:", insertError);
+}
+
+// Sends each reminder's current stage on one channel, one at a time so a
+// slow provider isn't flooded. deliver resolves to whether it went out, or
+// null when the recipient can't be reached on the channel at all.
+async function sendStages(
+  channel: string,
+  reminders: any[],
+  holders: Map<string, any>,
+  today: string,
+  deliver: (reminder: any, stage: string, recipient: any) => Promise<boolean | null>,
+) {
+  const deliveries = await loadDeliveries(reminders, channel);
+  const summary = { sent: 0, failed: 0, skipped: 0 };
+
+  for (const reminder of reminders) {
+    const recipient = getRecipient(reminder, holders);
+    if (!wantsChannel(recipient, channel)) continue;
+
+    const stage = getCurrentStage(reminder, recipient, today);
+    if (!stage) continue;
+
+    const state = checkStage(deliveries, reminder, stage);
+    if (state === "done") continue;
+    if (state === "given-up") {
+      summary.skipped++;
+      continue;
+    }
+
+    const delivered = await deliver(reminder, stage.name, recipient);
+    if (delivered === true) summary.sent++;
+    if (delivered === false) summary.failed++;
+  }
+
+  return summary;
+}
+
+// =============================================
+// Email
+// =============================================
+async function deliverEmail(reminder: any, stage: string, recipient: any, transport: EmailTransport) {
+  const person = reminder.profiles || {};
+
+  if (!recipient.email) {
+    await recordDelivery(reminder, "email", null, "failed", stage,
+      "No email address for the patient or account holder");
+    return false;
+  }
+
+  try {
+    const email = renderReminderEmail({
+      recipientName: recipient.full_name || "",
+      personName: person.full_name || "",
+      vaccineName: reminder.vaccination_records?.vaccine_name || "vaccination",
+      doseNumber: reminder.vaccination_records?.dose_number || 1,
+      dueDate: reminder.due_date,
+      appUrl: APP_URL,
+    });
+
+    await transport.send({ to: recipient.email, ...email });
+  } catch (error) {
+    console.error(`Error emailing reminder ${reminder.id}:`, error);
+    await recordDelivery(reminder, "email", recipient.email, "failed", stage,
+      String((error as Error)?.message || error));
+    return false;
+  }
+
+  const { error: updateError } = await supabase
+    .from("reminders")
+    .update({ sent: true, sent_at: new Date().toISOString() })
+    .eq("id", reminder.id);
+
+  // The email went out either way, so log it as sent
+  if (updateError) console.error(`Error marking reminder ${reminder.id} sent:`, updateError);
+  await recordDelivery(reminder, "email", recipient.email, "sent", stage);
+  return true;
+}
+
+async function sendEmails(reminders: any[], holders: Map<string, any>, today: string) {
+  const transport = createEmailTransport();
+  const summary = await sendStages("email", reminders, holders, today,
+    (reminder, stage, recipient) => deliverEmail(reminder, stage, recipient, transport));
+
+  console.log(`send-reminders email via ${transport.name}:`, summary);
+  return summary;
+}
+
+// =============================================
+// Push
+// =============================================
+async function loadSubscriptions(userIds: string[]) {
+  if (userIds.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from("push_subscriptions")
+    .select("id, user_id, endpoint, p256dh, auth")
+    .in("user_id", userIds);
+
+  if (error) throw error;
+  return data || [];
+}
+
+function describeDue(dueDate: string, today: string) {
+  const days = daysBetween(today, dueDate);
+  if (days < 0) return { title: "is overdue", body: `was due on ${dueDate}` };
+  if (days === 0) return { title: "due today", body: "is due today" };
+  if (days === 1) return { title: "due tomorrow", body: "is due tomorrow" };
+  return { title: `due in ${days} days`, body: `is due on ${dueDate}` };
+}
+
+async function deliverPush(reminder: any, stage: string, subscriptions: any[], today: string) {
+  const person = reminder.profiles || {};
+  const vaccineName = reminder.vaccination_records?.vaccine_name || "Vaccination";
+  const doseNumber = reminder.vaccination_records?.dose_number || 1;
+  const whose = person.managed_by && person.full_name ? ` for ${person.full_name}` : "";
+  const due = describeDue(reminder.due_date, today);
+
+  const payload = {
+    title: `${vaccineName} ${due.title}`,
+    body: `${vaccineName} - Dose ${doseNumber}${whose} ${due.body}.`,
+    reminderId: reminder.id,
+    userId: reminder.user_id,
+    url: `${APP_URL}/?reminder=${reminder.id}&person=${reminder.user_id}`,
+  };
+
+  let delivered = 0;
+  const errors: string[] = [];
+
+  for (const subscription of subscriptions) {
+    try {
+      if (await sendPush(subscription, payload) === "gone") {
+        await supabase.from("push_subscriptions").delete().eq("id", subscription.id);
+      } else {
+        delivered++;
+      }
+    } catch (error) {
+      console.error(`Error pushing reminder ${reminder.id}:`, error);
+      errors.push(String((error as Error)?.message || error));
+    }
+  }
+
+  const recipient = `${subscriptions.length} browser${subscriptions.length === 1 ? "" : "s"}`;
+  if (delivered > 0) {
+    await recordDelivery(reminder, "push", recipient, "sent", stage);
+    return true;
+  }
+
+  await recordDelivery(reminder, "push", recipient, "failed", stage,
+    errors.join("; ") || "Every subscription has expired");
+  return false;
+}
+
+async function sendPushes(reminders: any[], holders: Map<string, any>, today: string) {
+  if (!pushEnabled) return { sent: 0, failed: 0, skipped: 0 };
+
+  const recipientIds = reminders.map((r) => getRecipient(r, holders).id);
+  const subscriptions = await loadSubscriptions([...new Set(recipientIds)]);
+
+  const summary = await sendStages("push", reminders, holders, today, (reminder, stage, recipient) => {
+    const userSubscriptions = subscriptions.filter((s) => s.user_id === recipient.id);
+    // Nobody to notify
+    if (userSubscriptions.length === 0) return Promise.resolve(null);
+    return deliverPush(reminder, stage, userSubscriptions, today);
+  });
+
+  console.log("send-reminders push:", summary);
+  return summary;
+}
+
+// =============================================
+// SMS
+// =============================================
+async function deliverText(reminder: any, stage: string, recipient: any, provider: SmsProvider) {
+  const person = reminder.profiles || {};
+
+  if (!recipient.phone) {
+    await recordDelivery(reminder, "sms", null, "failed", stage,
+      "No phone number for the patient or account holder");
+    return false;
+  }
+
+  try {
+    const body = renderReminderSms({
+      recipientName: recipient.full_name || "",
+      personName: person.full_name || "",
+      vaccineName: reminder.vaccination_records?.vaccine_name || "vaccination",
+      doseNumber: reminder.vaccination_records?.dose_number || 1,
+      dueDate: reminder.due_date,
+      appUrl: APP_URL,
+    });
+
+    await provider.send({ to: recipient.phone, body });
+  } catch (error) {
+    console.error(`Error texting reminder ${reminder.id}:`, error);
+    await recordDelivery(reminder, "sms", recipient.phone, "failed", stage,
+      String((error as Error)?.message || error));
+    return false;
+  }
+
+  await recordDelivery(reminder, "sms", recipient.phone, "sent", stage);
+  return true;
+}
+
+// Numbers that replied STOP; only START from the same number turns texts
+// back on
+async function loadOptOuts(reminders: any[], holders: Map<string, any>) {
+  const phones = [...new Set(reminders.map((r) => getRecipient(r, holders).phone).filter(Boolean))];
+  if (phones.length === 0) return new Set<string>();
+
+  const { data, error } = await supabase
+    .from("sms_opt_outs")
+    .select("phone")
+    .in("phone", phones);
+
+  if (error) throw error;
+  return new Set((data || []).map((o) => o.phone));
+}
+
+async function sendTexts(reminders: any[], holders: Map<string, any>, today: string) {
+  const provider = createSmsProvider();
+  if (!provider) return { sent: 0, failed: 0, skipped: 0 };
+
+  const optOuts = await loadOptOuts(reminders, holders);
+  const summary = await sendStages("sms", reminders, holders, today, (reminder, stage, recipient) => {
+    if (optOuts.has(recipient.phone)) return Promise.resolve(null);
+    return deliverText(reminder, stage, recipient, provider);
+  });
+
+  console.log(`send-reminders sms via ${provider.name}:`, summary);
+  return summary;
+}
+
+async function sendReminders(req: Request) {
+  if (req.headers.get("Authorization") !== `Bearer ${SERVICE_ROLE_KEY}`) {
+    return json({ error: "Not allowed" }, 403);
+  }
+
+  const today = addDays(0);
+  const reminders = await loadReminders();
+  const holders = await loadAccountHolders(reminders);
+
+  return json({
+    email: await sendEmails(reminders, holders, today),
+    push: await sendPushes(reminders, holders, today),
+    sms: await sendTexts(reminders, holders, today),
+  });
+}
+
+Deno.serve(async (req) => {
+  if (req.method !== "POST") return json({ error: "Method not allowed" }, 405);
+
+  try {
+    return await sendReminders(req);
+  } catch (error) {
+    console.error("Error in send-reminders function:", error);
+    return json({ error: "Could not send reminders" }, 500);
+  }
+});
@@ -0,0 +1,42 @@
+// =============================================
+// Web Push
+// =============================================
+// Sends notifications to the browsers in push_subscriptions, signed with
+// the VAPID key pair whose public half the app subscribes with
+// (VITE_VAPID_PUBLIC_KEY).
+import webpush from "npm:web-push@3";
+
+const VAPID_PUBLIC_KEY = Deno.env.get("VAPID_PUBLIC_KEY");
+const VAPID_PRIVATE_KEY = Deno.env.get("VAPID_PRIVATE_KEY");
+const VAPID_SUBJECT = Deno.env.get("VAPID_SUBJECT") || "mailto:reminders@vaxtracker.local";
+
+export const pushEnabled = !!(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+
+if (pushEnabled) {
+  webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY!, VAPID_PRIVATE_KEY!);
+}
+
+export interface PushPayload {
+  title: string;
+  body: string;
+  reminderId: string;
+  userId: string;
+  url: string;
+}
+
+// Resolves to "sent", or "gone" when the subscription has expired or been
+// revoked and should be deleted. Other failures throw.
+export async function sendPush(subscription: any, payload: PushPayload) {
+  try {
+    await webpush.sendNotification(
+      { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+      JSON.stringify(payload),
+      { TTL: 60 * 60 * 24 },
+    );
+    return "sent";
+  } catch (error) {
+    const status = (error as any)?.statusCode;
+    if (status === 404 || status === 410) return "gone";
+    throw error;
+  }
+}
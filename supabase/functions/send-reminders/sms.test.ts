@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { createSmsProvider, matchKeyword } from "./sms.ts";
+import { renderReminderSms } from "./template.ts";
+
+Deno.test("matchKeyword matches carrier keywords on the whole message", () => {
+  assert.equal(matchKeyword("STOP"), "opt-out");
+  assert.equal(matchKeyword("  stop\n"), "opt-out");
+  assert.equal(matchKeyword("Quit"), "opt-out");
+  assert.equal(matchKeyword("start"), "opt-in");
+  assert.equal(matchKeyword("UNSTOP"), "opt-in");
+  assert.equal(matchKeyword("help"), "help");
+  assert.equal(matchKeyword("stop it"), null);
+  assert.equal(matchKeyword("Thanks!"), null);
+  assert.equal(matchKeyword(""), null);
+});
+
+// Sends one reminder through the file provider and reads it back
+async function sendThroughOutbox(body: string) {
+  const outbox = await Deno.makeTempFile({ suffix: ".jsonl" });
+  Deno.env.set("SMS_OUTBOX_FILE", outbox);
+
+  try {
+    const provider = createSmsProvider("file")!;
+    assert.equal(provider.name, "file");
+    await provider.send({ to: "+15551234567", body });
+
+    const lines = (await Deno.readTextFile(outbox)).trim().split("\n");
+    assert.equal(lines.length, 1);
+    return JSON.parse(lines[0]);
+  } finally {
+    await Deno.remove(outbox);
+  }
+}
+
+const REMINDER = {
+  recipientName: "Alex Kim",
+  personName: "Alex Kim",
+  vaccineName: "Hepatitis B",
+  doseNumber: 2,
+  dueDate: "2099-03-01",
+  appUrl: "https://vax.example.com",
+};
+
+Deno.test("an upcoming reminder text reaches the outbox", async () => {
+  const sent = await sendThroughOutbox(renderReminderSms(REMINDER));
+
+  assert.equal(sent.to, "+15551234567");
+  assert.equal(
+    sent.body,
+    "VaxTracker: Your Hepatitis B dose 2 is due March 1, 2099. https://vax.example.com Reply STOP to opt out.",
+  );
+  assert.ok(sent.body.length <= 160, "fits in one SMS segment");
+  assert.ok(sent.sent_at);
+});
+
+Deno.test("a dependent's overdue reminder names them", async () => {
+  const sent = await sendThroughOutbox(renderReminderSms({
+    ...REMINDER,
+    personName: "Sam Kim",
+    dueDate: "2020-01-15",
+  }));
+
+  assert.equal(
+    sent.body,
+    "VaxTracker: Sam Kim's Hepatitis B dose 2 was due January 15, 2020. https://vax.example.com Reply STOP to opt out.",
+  );
+});
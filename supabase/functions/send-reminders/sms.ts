@@ -0,0 +1,158 @@
+// =============================================
+// SMS Providers
+// =============================================
+// Reminder texts go out through the provider named by SMS_PROVIDER; texts
+// are off while it is unset. A provider sends messages and reads the
+// replies its webhook receives (see the sms-webhook function). Add one by
+// adding a factory to PROVIDERS.
+//
+//   twilio   Twilio's Messages API
+//   log      writes texts to the function logs
+//   file     appends texts as JSON lines to SMS_OUTBOX_FILE, to read
+//            back during local development and in tests
+
+export interface SmsMessage {
+  to: string;   // E.164, e.g. +15551234567
+  body: string;
+}
+
+export interface InboundSms {
+  from: string;
+  body: string;
+}
+
+export interface SmsProvider {
+  name: string;
+  send(message: SmsMessage): Promise<void>;
+  // The reply a webhook request carries, or null if it isn't genuine
+  parseInbound(req: Request): Promise<InboundSms | null>;
+  // Webhook response, answering the sender with text when there is any
+  reply(text: string | null): Response;
+}
+
+// =============================================
+// Keywords
+// =============================================
+// Carrier-standard keywords, matched on the whole message
+const KEYWORDS: Record<string, string[]> = {
+  "opt-out": ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT"],
+  "opt-in": ["START", "UNSTOP", "YES"],
+  "help": ["HELP", "INFO"],
+};
+
+export function matchKeyword(body: string) {
+  const word = body.trim().toUpperCase();
+  return Object.keys(KEYWORDS).find((keyword) => KEYWORDS[keyword].includes(word)) || null;
+}
+
+// =============================================
+// Providers
+// =============================================
+function createTwilioProvider(): SmsProvider {
+  const accountSid = Deno.env.get("TWILIO_ACCOUNT_SID");
+  const authToken = Deno.env.get("TWILIO_AUTH_TOKEN");
+  const from = Deno.env.get("TWILIO_FROM");
+  if (!accountSid || !authToken || !from) {
+    throw new Error("TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM must be set");
+  }
+
+  // Twilio signs the URL it called plus the sorted form fields, so behind
+  // the functions gateway the public URL has to be given
+  async function isSigned(req: Request, params: URLSearchParams) {
+    const url = Deno.env.get("SMS_WEBHOOK_URL") || req.url;
+    const data = url + [...params.keys()].sort().map((key) => key + params.get(key)).join("");
+    const key = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(authToken),
+      { name: "HMAC", hash: "SHA-1" },
+      false,
+      ["sign"],
+    );
+    const signature = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(data));
+    const expected = btoa(String.fromCharCode(...new Uint8Array(signature)));
+    return req.headers.get("X-Twilio-Signature") === expected;
+  }
+
+  function escapeXml(value: string) {
+    return value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  }
+
+  return {
+    name: "twilio",
+    async send(message) {
+      const response = await fetch(
+        `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+        {
+          method: "POST",
+          headers: {
+            "Authorization": `Basic ${btoa(`${accountSid}:${authToken}`)}`,
+            "Content-Type": "application/x-www-form-urlencoded",
+          },
+          body: new URLSearchParams({ To: message.to, From: from, Body: message.body }),
+        },
+      );
+
+      if (!response.ok) {
+        const details = await response.json().catch(() => ({}));
+        throw new Error(details.message || `Twilio responded ${response.status}`);
+      }
+    },
+    async parseInbound(req) {
+      const params = new URLSearchParams(await req.text());
+      if (!(await isSigned(req, params))) return null;
+      return { from: params.get("From") || "", body: params.get("Body") || "" };
+    },
+    reply(text) {
+      const twiml = text ? `<Message>${escapeXml(text)}</Message>` : "";
+      return new Response(`<?xml version="1.0" encoding="UTF-8"?><Response>${twiml}</Response>`, {
+        headers: { "Content-Type": "text/xml" },
+      });
+    },
+  };
+}
+
+// The stand-ins take replies as JSON { from, body }, posted with the
+// service role key, so you can play the part of a phone locally
+function createLocalProvider(name: string, write: (line: string) => Promise<void>): SmsProvider {
+  const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY");
+
+  return {
+    name,
+    async send(message) {
+      await write(JSON.stringify({ ...message, sent_at: new Date().toISOString() }));
+    },
+    async parseInbound(req) {
+      if (req.headers.get("Authorization") !== `Bearer ${serviceRoleKey}`) return null;
+      const { from, body } = await req.json().catch(() => ({}));
+      return from ? { from: String(from), body: String(body || "") } : null;
+    },
+    reply(text) {
+      return new Response(JSON.stringify({ reply: text }), {
+        headers: { "Content-Type": "application/json" },
+      });
+    },
+  };
+}
+
+function createLogProvider() {
+  return createLocalProvider("log", async (line) => console.log(`[sms] ${line}`));
+}
+
+function createFileProvider() {
+  const path = Deno.env.get("SMS_OUTBOX_FILE") || "/tmp/sms-outbox.jsonl";
+  return createLocalProvider("file", (line) => Deno.writeTextFile(path, `${line}\n`, { append: true }));
+}
+
+const PROVIDERS: Record<string, () => SmsProvider> = {
+  twilio: createTwilioProvider,
+  log: createLogProvider,
+  file: createFileProvider,
+};
+
+export function createSmsProvider(name = Deno.env.get("SMS_PROVIDER")) {
+  if (!name) return null;
+
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`Unknown SMS_PROVIDER "${name}"`);
+  return factory();
+}
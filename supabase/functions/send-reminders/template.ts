@@ -0,0 +1,102 @@
+// =============================================
+// Reminder Email Template
+// =============================================
+// Plain text and HTML versions of the reminder email. Keep the two in step.
+
+export interface ReminderEmailData {
+  recipientName: string;
+  personName: string;   // whose dose is due; differs for dependents
+  vaccineName: string;
+  doseNumber: number;
+  dueDate: string;      // YYYY-MM-DD
+  appUrl: string;
+}
+
+function formatDate(dateString: string) {
+  return new Date(`${dateString}T00:00:00Z`).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+function escapeHtml(value: string) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function renderReminderEmail(data: ReminderEmailData) {
+  const today = new Date().toISOString().slice(0, 10);
+  const overdue = data.dueDate < today;
+  const forSomeoneElse = data.personName && data.personName !== data.recipientName;
+  const who = forSomeoneElse ? `${data.personName}'s` : "Your";
+  const when = overdue ? `was due on ${formatDate(data.dueDate)}` : `is due on ${formatDate(data.dueDate)}`;
+  const vaccine = `${data.vaccineName} (dose ${data.doseNumber})`;
+
+  const subject = overdue
+    ? `Overdue: ${who} ${data.vaccineName} vaccination`
+    : `Reminder: ${who} ${data.vaccineName} vaccination is due ${formatDate(data.dueDate)}`;
+
+  const text = [
+    `Hi ${data.recipientName || "there"},`,
+    "",
+    `${who} next ${vaccine} ${when}.`,
+    overdue
+      ? "Please book an appointment as soon as you can."
+      : "Please book an appointment with your clinic before then.",
+    "",
+    `View your reminders: ${data.appUrl}`,
+    "",
+    "— VaxTracker",
+  ].join("\n");
+
+  const html = `
+    <div style="font-family: Inter, Arial, sans-serif; color: #1f2937; max-width: 520px;">
+      <p>Hi ${escapeHtml(data.recipientName || "there")},</p>
+      <p>
+        ${escapeHtml(who)} next <strong>${escapeHtml(vaccine)}</strong>
+        ${overdue ? `<span style="color: #b91c1c;">${escapeHtml(when)}</span>` : escapeHtml(when)}.
+      </p>
+      <p>
+        ${overdue
+          ? "Please book an appointment as soon as you can."
+          : "Please book an appointment with your clinic before then."}
+      </p>
+      <p>
+        <a href="${escapeHtml(data.appUrl)}"
+           style="display: inline-block; padding: 10px 18px; background: #667eea; color: white; border-radius: 8px; text-decoration: none;">
+          View your reminders
+        </a>
+      </p>
+      <p style="color: #6b7280; font-size: 13px;">— VaxTracker</p>
+    </div>
+  `;
+
+  return { subject, text, html };
+}
+
+// =============================================
+// Text Messages
+// =============================================
+// Kept to a single SMS segment where the names allow. Every reminder says
+// how to opt out, as carriers require.
+export function renderReminderSms(data: ReminderEmailData) {
+  const today = new Date().toISOString().slice(0, 10);
+  const overdue = data.dueDate < today;
+  const forSomeoneElse = data.personName && data.personName !== data.recipientName;
+  const who = forSomeoneElse ? `${data.personName}'s` : "Your";
+  const when = overdue ? `was due ${formatDate(data.dueDate)}` : `is due ${formatDate(data.dueDate)}`;
+
+  return `VaxTracker: ${who} ${data.vaccineName} dose ${data.doseNumber} ${when}. ${data.appUrl} Reply STOP to opt out.`;
+}
+
+// Answers to the keywords in sms.ts
+export const SMS_REPLIES: Record<string, string> = {
+  "opt-out": "VaxTracker: You won't get any more reminder texts. Reply START to turn them back on.",
+  "opt-in": "VaxTracker: Reminder texts are back on. Reply STOP to opt out.",
+  "help": "VaxTracker vaccination reminders. Manage them in the app under Settings. Reply STOP to opt out.",
+};
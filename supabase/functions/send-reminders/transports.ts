@@ -0,0 +1,66 @@
+// =============================================
+// Email Transports
+// =============================================
+// The job only needs send(); pick one with EMAIL_TRANSPORT. Add a provider
+// (an HTTP email API, say) by adding a factory to TRANSPORTS.
+import nodemailer from "npm:nodemailer@6";
+
+export interface EmailMessage {
+  to: string;
+  subject: string;
+  text: string;
+  html: string;
+}
+
+export interface EmailTransport {
+  name: string;
+  send(message: EmailMessage): Promise<void>;
+}
+
+const FROM = Deno.env.get("EMAIL_FROM") || "VaxTracker <reminders@vaxtracker.local>";
+
+// Any SMTP server. Locally, point it at the Supabase CLI's mail catcher
+// (SMTP_HOST=host.docker.internal, SMTP_PORT=54325) and read the messages
+// in its web UI. Hosted Edge Functions cannot reach ports 25 and 587, so
+// use 465 (SMTP_SECURE=true) or 2525 there.
+function createSmtpTransport(): EmailTransport {
+  const host = Deno.env.get("SMTP_HOST");
+  if (!host) throw new Error("SMTP_HOST is not set");
+
+  const port = Number(Deno.env.get("SMTP_PORT") || 465);
+  const user = Deno.env.get("SMTP_USER");
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: (Deno.env.get("SMTP_SECURE") ?? String(port === 465)) === "true",
+    ...(user && { auth: { user, pass: Deno.env.get("SMTP_PASS") } }),
+  });
+
+  return {
+    name: "smtp",
+    async send(message) {
+      await transporter.sendMail({ from: FROM, ...message });
+    },
+  };
+}
+
+// Writes messages to the function logs instead of sending them
+function createLogTransport(): EmailTransport {
+  return {
+    name: "log",
+    async send(message) {
+      console.log(`[email] to=${message.to} subject=${message.subject}\n${message.text}`);
+    },
+  };
+}
+
+const TRANSPORTS: Record<string, () => EmailTransport> = {
+  smtp: createSmtpTransport,
+  log: createLogTransport,
+};
+
+export function createEmailTransport(name = Deno.env.get("EMAIL_TRANSPORT") || "smtp") {
+  const factory = TRANSPORTS[name];
+  if (!factory) throw new Error(`Unknown EMAIL_TRANSPORT "${name}"`);
+  return factory();
+}
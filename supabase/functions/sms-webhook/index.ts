@@ -0,0 +1,30 @@
+// =============================================
+// SMS Webhook Edge Function
+// =============================================
+// Receives replies to reminder texts from the SMS provider:
+//
+//   POST /sms-webhook   (provider's format; JSON { from, body } locally)
+//
+// STOP and the other opt-out keywords stop reminder texts to that phone
+// number, whichever profiles list it now or later; START turns them back
+// on and HELP explains what the texts are (see reply.ts). Anything else is
+// ignored. Providers can't sign in, so deploy with --no-verify-jwt; each
+// provider checks its own signature instead (see ../send-reminders/sms.ts).
+import { createClient } from "npm:@supabase/supabase-js@2";
+import { handleReply, json } from "./reply.ts";
+
+const supabase = createClient(
+  Deno.env.get("SUPABASE_URL")!,
+  Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!,
+);
+
+Deno.serve(async (req) => {
+  if (req.method !== "POST") return json({ error: "Method not allowed" }, 405);
+
+  try {
+    return await handleReply(req, supabase);
+  } catch (error) {
+    console.error("Error in sms-webhook function:", error);
+    return json({ error: "Could not handle reply" }, 500);
+  }
+});
@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { handleReply } from "./reply.ts";
+
+const SERVICE_ROLE_KEY = "test-service-role-key";
+const PHONE = "+15551234567";
+
+Deno.env.set("SMS_PROVIDER", "file");
+Deno.env.set("SUPABASE_SERVICE_ROLE_KEY", SERVICE_ROLE_KEY);
+
+// Just enough of the service role client for sms_opt_outs
+function createDatabase() {
+  const optOuts = new Map<string, string>();
+
+  return {
+    optOuts,
+    from(table: string) {
+      assert.equal(table, "sms_opt_outs");
+      return {
+        upsert(row: { phone: string; opted_out_at: string }, options: { onConflict: string }) {
+          assert.equal(options.onConflict, "phone");
+          optOuts.set(row.phone, row.opted_out_at);
+          return Promise.resolve({ error: null });
+        },
+        delete() {
+          return {
+            eq(column: string, value: string) {
+              assert.equal(column, "phone");
+              optOuts.delete(value);
+              return Promise.resolve({ error: null });
+            },
+          };
+        },
+      };
+    },
+  };
+}
+
+// A reply posted as the file provider expects it
+function reply(body: string, authorization = `Bearer ${SERVICE_ROLE_KEY}`) {
+  return new Request("http://localhost/sms-webhook", {
+    method: "POST",
+    headers: { "Authorization": authorization, "Content-Type": "application/json" },
+    body: JSON.stringify({ from: PHONE, body }),
+  });
+}
+
+Deno.test("STOP opts the number out and START opts it back in", async () => {
+  const database = createDatabase();
+
+  const stop = await handleReply(reply("stop"), database);
+  assert.equal(stop.status, 200);
+  assert.match((await stop.json()).reply, /won't get any more reminder texts/);
+  assert.ok(database.optOuts.has(PHONE));
+
+  // Opting out again keeps a single row for the number
+  await handleReply(reply("UNSUBSCRIBE"), database);
+  assert.equal(database.optOuts.size, 1);
+
+  const start = await handleReply(reply(" Start "), database);
+  assert.match((await start.json()).reply, /back on/);
+  assert.equal(database.optOuts.size, 0);
+});
+
+Deno.test("HELP answers without changing the opt-out", async () => {
+  const database = createDatabase();
+
+  const response = await handleReply(reply("HELP"), database);
+  assert.match((await response.json()).reply, /Reply STOP to opt out/);
+  assert.equal(database.optOuts.size, 0);
+});
+
+Deno.test("other messages are ignored", async () => {
+  const database = createDatabase();
+
+  const response = await handleReply(reply("please stop texting me"), database);
+  assert.equal((await response.json()).reply, null);
+  assert.equal(database.optOuts.size, 0);
+});
+
+Deno.test("replies without the service role key are refused", async () => {
+  const database = createDatabase();
+
+  const response = await handleReply(reply("STOP", "Bearer someone-else"), database);
+  assert.equal(response.status, 403);
+  assert.equal(database.optOuts.size, 0);
+});
@@ -0,0 +1,44 @@
+// =============================================
+// SMS Replies
+// =============================================
+// Handles one reply from the SMS provider. Kept apart from index.ts so the
+// tests can run it against the file provider and a stand-in database.
+import { createSmsProvider, matchKeyword } from "../send-reminders/sms.ts";
+import { SMS_REPLIES } from "../send-reminders/template.ts";
+
+export function json(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+async function setOptedOut(supabase: any, phone: string, optedOut: boolean) {
+  const { error } = optedOut
+    ? await supabase
+      .from("sms_opt_outs")
+      .upsert({ phone, opted_out_at: new Date().toISOString() }, { onConflict: "phone" })
+    : await supabase
+      .from("sms_opt_outs")
+      .delete()
+      .eq("phone", phone);
+
+  if (error) throw error;
+}
+
+// supabase is a service role client
+export async function handleReply(req: Request, supabase: any) {
+  const provider = createSmsProvider();
+  if (!provider) return json({ error: "SMS is not configured" }, 404);
+
+  const inbound = await provider.parseInbound(req);
+  if (!inbound) return json({ error: "Not allowed" }, 403);
+
+  const keyword = matchKeyword(inbound.body);
+  if (keyword === "opt-out" || keyword === "opt-in") {
+    await setOptedOut(supabase, inbound.from, keyword === "opt-out");
+    console.log(`sms-webhook: ${inbound.from} sent ${keyword}`);
+  }
+
+  return provider.reply(keyword ? SMS_REPLIES[keyword] : null);
+}
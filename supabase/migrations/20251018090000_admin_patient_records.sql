@@ -0,0 +1,42 @@
+-- =============================================
+-- 1️⃣ Helper: is the current user an admin?
+-- =============================================
+-- Policies on profiles cannot query profiles directly without recursing
+-- into themselves, so the role check runs as the function owner.
+create or replace function public.is_admin()
+returns boolean as $$
+  select exists (
+    select 1 from public.profiles p where p.id = auth.uid() and p.role = 'admin'
+  );
+$$ language sql stable security definer set search_path = public;
+
+-- =============================================
+-- 2️⃣ Profiles: admins can look up patients
+-- =============================================
+drop policy if exists "Profiles: select admin" on public.profiles;
+create policy "Profiles: select admin" on public.profiles
+for select using ( public.is_admin() );
+
+-- =============================================
+-- 3️⃣ Vaccination Records: admins insert for any patient
+-- =============================================
+drop policy if exists "VaccinationRecords: insert" on public.vaccination_records;
+create policy "VaccinationRecords: insert" on public.vaccination_records
+for insert with check ( user_id = auth.uid() OR public.is_admin() );
+
+drop policy if exists "VaccinationRecords: update" on public.vaccination_records;
+create policy "VaccinationRecords: update" on public.vaccination_records
+for update using ( user_id = auth.uid() OR public.is_admin() )
+with check ( user_id = auth.uid() OR public.is_admin() );
+
+-- =============================================
+-- 4️⃣ Reminders: admins insert for any patient
+-- =============================================
+drop policy if exists "Reminders: insert" on public.reminders;
+create policy "Reminders: insert" on public.reminders
+for insert with check ( user_id = auth.uid() OR public.is_admin() );
+
+drop policy if exists "Reminders: update" on public.reminders;
+create policy "Reminders: update" on public.reminders
+for update using ( user_id = auth.uid() OR public.is_admin() )
+with check ( user_id = auth.uid() OR public.is_admin() );
@@ -0,0 +1,50 @@
+-- =============================================
+-- 1️⃣ Vaccines Catalog Table
+-- =============================================
+create table if not exists public.vaccines (
+  id uuid primary key default gen_random_uuid(),
+  name text unique not null, -- stored on vaccination_records.vaccine_name
+  code text, -- CVX code where one exists
+  description text,
+  primary_series_doses int not null default 1 check (primary_series_doses > 0),
+  booster_interval_months int check (booster_interval_months > 0),
+  created_at timestamp with time zone default now()
+);
+
+-- =============================================
+-- 2️⃣ Seed with the vaccines previously hardcoded in the UI
+-- =============================================
+insert into public.vaccines (name, code, description, primary_series_doses, booster_interval_months)
+values
+  ('COVID-19', '213', null, 1, 12),
+  ('Influenza', '88', 'Flu', 1, 12),
+  ('Hepatitis B', '45', null, 3, null),
+  ('MMR', '03', 'Measles, Mumps, Rubella', 2, null),
+  ('Tdap', '115', 'Tetanus, Diphtheria, Pertussis', 1, 120),
+  ('HPV', '137', 'Human Papillomavirus', 3, null),
+  ('Pneumococcal', '109', null, 1, null),
+  ('Meningococcal', '108', null, 2, null),
+  ('Varicella', '21', 'Chickenpox', 2, null),
+  ('Shingles', '188', 'Zoster', 2, null)
+on conflict (name) do nothing;
+
+-- =============================================
+-- 3️⃣ Policies for Vaccines
+-- =============================================
+alter table public.vaccines enable row level security;
+
+drop policy if exists "Vaccines: select" on public.vaccines;
+create policy "Vaccines: select" on public.vaccines
+for select using ( auth.role() = 'authenticated' );
+
+drop policy if exists "Vaccines: insert" on public.vaccines;
+create policy "Vaccines: insert" on public.vaccines
+for insert with check ( public.is_admin() );
+
+drop policy if exists "Vaccines: update" on public.vaccines;
+create policy "Vaccines: update" on public.vaccines
+for update using ( public.is_admin() );
+
+drop policy if exists "Vaccines: delete" on public.vaccines;
+create policy "Vaccines: delete" on public.vaccines
+for delete using ( public.is_admin() );
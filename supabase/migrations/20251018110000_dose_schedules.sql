@@ -0,0 +1,29 @@
+-- =============================================
+-- 1️⃣ Dose schedules on the vaccine catalog
+-- =============================================
+-- Month offsets of each primary series dose from the first dose,
+-- e.g. Hepatitis B at 0/1/6 months is {0,1,6}.
+alter table public.vaccines
+  add column if not exists dose_schedule_months int[];
+
+alter table public.vaccines
+  drop constraint if exists vaccines_dose_schedule_length;
+alter table public.vaccines
+  add constraint vaccines_dose_schedule_length check (
+    dose_schedule_months is null
+    or cardinality(dose_schedule_months) = primary_series_doses
+  );
+
+update public.vaccines set dose_schedule_months = '{0}'
+  where name in ('COVID-19', 'Influenza', 'Tdap', 'Pneumococcal');
+update public.vaccines set dose_schedule_months = '{0,1,6}' where name = 'Hepatitis B';
+update public.vaccines set dose_schedule_months = '{0,1}' where name in ('MMR', 'Varicella');
+update public.vaccines set dose_schedule_months = '{0,2,6}' where name = 'HPV';
+update public.vaccines set dose_schedule_months = '{0,2}' where name in ('Meningococcal', 'Shingles');
+
+-- =============================================
+-- 2️⃣ Series state on vaccination records
+-- =============================================
+alter table public.vaccination_records
+  add column if not exists series_complete boolean not null default false,
+  add column if not exists next_due_override_reason text;
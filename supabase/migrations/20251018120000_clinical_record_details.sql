@@ -0,0 +1,17 @@
+-- =============================================
+-- 1️⃣ Clinical details on vaccination records
+-- =============================================
+alter table public.vaccination_records
+  add column if not exists lot_number text,
+  add column if not exists manufacturer text,
+  add column if not exists expiration_date date,
+  add column if not exists route text, -- HL7 route code, e.g. 'IM'
+  add column if not exists site text, -- HL7 body site code, e.g. 'LD'
+  add column if not exists provider text, -- administering provider
+  add column if not exists location text; -- where the dose was given
+
+-- =============================================
+-- 2️⃣ Index for lot recalls
+-- =============================================
+create index if not exists vaccination_records_lot_number_idx
+  on public.vaccination_records (lower(lot_number));
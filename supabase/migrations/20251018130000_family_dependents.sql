@@ -0,0 +1,79 @@
+-- =============================================
+-- 1️⃣ Dependents as managed profiles
+-- =============================================
+-- A dependent (child, elderly parent) is a profile without its own login,
+-- managed by the account holder who created it. Records and reminders keep
+-- pointing at profiles, so dependents work everywhere a patient does.
+alter table public.profiles
+  drop constraint if exists profiles_id_fkey;
+
+alter table public.profiles
+  alter column id set default gen_random_uuid(),
+  alter column email drop not null,
+  add column if not exists managed_by uuid references public.profiles(id) on delete cascade,
+  add column if not exists relationship text; -- e.g. 'child', 'parent'
+
+alter table public.profiles
+  drop constraint if exists profiles_dependent_has_no_login;
+alter table public.profiles
+  add constraint profiles_dependent_has_no_login check (
+    managed_by is null or (email is null and role = 'user')
+  );
+
+-- =============================================
+-- 2️⃣ Trigger: remove profile when its auth user is deleted
+-- =============================================
+-- Replaces the on delete cascade lost with profiles_id_fkey.
+create or replace function public.handle_deleted_user()
+returns trigger as $$
+begin
+  delete from public.profiles where id = old.id;
+  return old;
+end;
+$$ language plpgsql security definer;
+
+drop trigger if exists on_auth_user_deleted on auth.users;
+create trigger on_auth_user_deleted
+after delete on auth.users
+for each row execute function public.handle_deleted_user();
+
+-- =============================================
+-- 3️⃣ Helper: can the current user see this person?
+-- =============================================
+create or replace function public.can_access_person(person uuid)
+returns boolean as $$
+  select person = auth.uid() or exists (
+    select 1 from public.profiles p where p.id = person and p.managed_by = auth.uid()
+  );
+$$ language sql stable security definer set search_path = public;
+
+-- =============================================
+-- 4️⃣ Policies for Profiles (dependents)
+-- =============================================
+drop policy if exists "Profiles: select dependents" on public.profiles;
+create policy "Profiles: select dependents" on public.profiles
+for select using ( managed_by = auth.uid() );
+
+drop policy if exists "Profiles: insert dependents" on public.profiles;
+create policy "Profiles: insert dependents" on public.profiles
+for insert with check ( managed_by = auth.uid() and role = 'user' );
+
+drop policy if exists "Profiles: update dependents" on public.profiles;
+create policy "Profiles: update dependents" on public.profiles
+for update using ( managed_by = auth.uid() )
+with check ( managed_by = auth.uid() and role = 'user' );
+
+drop policy if exists "Profiles: delete dependents" on public.profiles;
+create policy "Profiles: delete dependents" on public.profiles
+for delete using ( managed_by = auth.uid() );
+
+-- =============================================
+-- 5️⃣ Account holders read their dependents' data
+-- =============================================
+drop policy if exists "VaccinationRecords: select" on public.vaccination_records;
+create policy "VaccinationRecords: select" on public.vaccination_records
+for select using ( public.can_access_person(user_id) OR public.is_admin() );
+
+drop policy if exists "Reminders: select" on public.reminders;
+create policy "Reminders: select" on public.reminders
+for select using ( public.can_access_person(user_id) OR public.is_admin() );
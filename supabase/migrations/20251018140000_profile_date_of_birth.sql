@@ -0,0 +1,13 @@
+-- =============================================
+-- 1️⃣ Date of birth on profiles
+-- =============================================
+-- Drives the age-based recommended schedule and gap analysis.
+alter table public.profiles
+  add column if not exists date_of_birth date;
+
+-- =============================================
+-- 2️⃣ Policies: admins can complete patient profiles
+-- =============================================
+drop policy if exists "Profiles: update admin" on public.profiles;
+create policy "Profiles: update admin" on public.profiles
+for update using ( public.is_admin() );
@@ -0,0 +1,88 @@
+-- =============================================
+-- 1️⃣ Storage bucket for scanned cards and documents
+-- =============================================
+-- Objects are stored as <user_id>/<record_id>/<file>, so the first path
+-- segment identifies whose record the file belongs to.
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values (
+  'record-attachments',
+  'record-attachments',
+  false,
+  10485760, -- 10 MB
+  array['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'application/pdf']
+)
+on conflict (id) do nothing;
+
+-- =============================================
+-- 2️⃣ Attachments Table
+-- =============================================
+create table if not exists public.record_attachments (
+  id uuid primary key default gen_random_uuid(),
+  record_id uuid references public.vaccination_records(id) on delete cascade,
+  user_id uuid references public.profiles(id) on delete cascade,
+  storage_path text unique not null,
+  file_name text not null,
+  content_type text not null,
+  size_bytes int,
+  uploaded_by uuid references public.profiles(id) on delete set null,
+  created_at timestamp with time zone default now()
+);
+
+create index if not exists record_attachments_record_id_idx
+  on public.record_attachments (record_id);
+
+-- =============================================
+-- 3️⃣ Policies for Attachments
+-- =============================================
+alter table public.record_attachments enable row level security;
+
+drop policy if exists "RecordAttachments: select" on public.record_attachments;
+create policy "RecordAttachments: select" on public.record_attachments
+for select using ( public.can_access_person(user_id) OR public.is_admin() );
+
+-- The record must belong to the same person, so nobody can hang files off
+-- someone else's record
+drop policy if exists "RecordAttachments: insert" on public.record_attachments;
+create policy "RecordAttachments: insert" on public.record_attachments
+for insert with check (
+  ( public.can_access_person(user_id) OR public.is_admin() )
+  AND exists (
+    select 1 from public.vaccination_records r
+    where r.id = record_id and r.user_id = record_attachments.user_id
+  )
+);
+
+drop policy if exists "RecordAttachments: delete" on public.record_attachments;
+create policy "RecordAttachments: delete" on public.record_attachments
+for delete using ( public.can_access_person(user_id) OR public.is_admin() );
+
+-- =============================================
+-- 4️⃣ Policies for Storage Objects
+-- =============================================
+drop policy if exists "RecordAttachments: read files" on storage.objects;
+create policy "RecordAttachments: read files" on storage.objects
+for select using (
+  bucket_id = 'record-attachments' AND (
+    public.can_access_person(((storage.foldername(name))[1])::uuid) OR public.is_admin()
+  )
+);
+
+drop policy if exists "RecordAttachments: upload files" on storage.objects;
+create policy "RecordAttachments: upload files" on storage.objects
+for insert with check (
+  bucket_id = 'record-attachments' AND (
+    public.can_access_person(((storage.foldername(name))[1])::uuid) OR public.is_admin()
+  ) AND exists (
+    select 1 from public.vaccination_records r
+    where r.id::text = (storage.foldername(name))[2]
+      and r.user_id::text = (storage.foldername(name))[1]
+  )
+);
+
+drop policy if exists "RecordAttachments: delete files" on storage.objects;
+create policy "RecordAttachments: delete files" on storage.objects
+for delete using (
+  bucket_id = 'record-attachments' AND (
+    public.can_access_person(((storage.foldername(name))[1])::uuid) OR public.is_admin()
+  )
+);
@@ -0,0 +1,84 @@
+-- =============================================
+-- 1️⃣ Audit Log Table
+-- =============================================
+-- Append-only history of every change to records and reminders. Ids are not
+-- foreign keys so entries outlive the rows (and people) they describe.
+create table if not exists public.audit_log (
+  id bigint generated always as identity primary key,
+  table_name text not null check (table_name in ('vaccination_records', 'reminders')),
+  row_id uuid not null,
+  record_id uuid, -- the vaccination record the change belongs to
+  user_id uuid,   -- the patient whose data changed
+  action text not null check (action in ('insert', 'update', 'delete')),
+  actor_id uuid,  -- null for changes made outside a user session
+  old_values jsonb,
+  new_values jsonb,
+  changed_at timestamp with time zone default now() not null
+);
+
+create index if not exists audit_log_record_id_idx
+  on public.audit_log (record_id, changed_at desc);
+
+-- =============================================
+-- 2️⃣ Trigger Function: write an audit entry
+-- =============================================
+-- Runs as the table owner so entries can be written even though clients
+-- have no insert rights on audit_log.
+create or replace function public.log_audit_event()
+returns trigger as $$
+declare
+  old_row jsonb := case when tg_op in ('UPDATE', 'DELETE') then to_jsonb(old) end;
+  new_row jsonb := case when tg_op in ('INSERT', 'UPDATE') then to_jsonb(new) end;
+  row_data jsonb := coalesce(new_row, old_row);
+begin
+  -- Skip updates that did not change anything
+  if tg_op = 'UPDATE' and old_row = new_row then
+    return new;
+  end if;
+
+  insert into public.audit_log (
+    table_name, row_id, record_id, user_id, action, actor_id, old_values, new_values
+  )
+  values (
+    tg_table_name,
+    (row_data->>'id')::uuid,
+    case
+      when tg_table_name = 'vaccination_records' then (row_data->>'id')::uuid
+      else (row_data->>'record_id')::uuid
+    end,
+    (row_data->>'user_id')::uuid,
+    lower(tg_op),
+    auth.uid(),
+    old_row,
+    new_row
+  );
+
+  return coalesce(new, old);
+end;
+$$ language plpgsql security definer set search_path = public;
+
+-- =============================================
+-- 3️⃣ Triggers
+-- =============================================
+drop trigger if exists audit_vaccination_records on public.vaccination_records;
+create trigger audit_vaccination_records
+after insert or update or delete on public.vaccination_records
+for each row execute function public.log_audit_event();
+
+drop trigger if exists audit_reminders on public.reminders;
+create trigger audit_reminders
+after insert or update or delete on public.reminders
+for each row execute function public.log_audit_event();
+
+-- =============================================
+-- 4️⃣ Policies for Audit Log
+-- =============================================
+-- Only admins can read the log; nobody can write, change or remove entries
+-- through the API.
+alter table public.audit_log enable row level security;
+
+revoke insert, update, delete, truncate on public.audit_log from anon, authenticated;
+
+drop policy if exists "AuditLog: select admin" on public.audit_log;
+create policy "AuditLog: select admin" on public.audit_log
+for select using ( public.is_admin() );
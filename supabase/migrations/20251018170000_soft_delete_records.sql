@@ -0,0 +1,56 @@
+-- =============================================
+-- 1️⃣ Soft Delete Columns
+-- =============================================
+-- Deleting a record moves it to the recycle bin; it is only removed for good
+-- when an admin purges it.
+alter table public.vaccination_records
+  add column if not exists deleted_at timestamp with time zone;
+
+alter table public.reminders
+  add column if not exists deleted_at timestamp with time zone;
+
+create index if not exists vaccination_records_deleted_at_idx
+  on public.vaccination_records (deleted_at)
+  where deleted_at is not null;
+
+-- =============================================
+-- 2️⃣ Trigger: reminders follow their record
+-- =============================================
+-- Reminders are stamped with the record's deleted_at, so a restore brings back
+-- exactly the reminders that were deleted along with the record.
+create or replace function public.cascade_record_soft_delete()
+returns trigger as $$
+begin
+  if old.deleted_at is null and new.deleted_at is not null then
+    update public.reminders
+    set deleted_at = new.deleted_at
+    where record_id = new.id and deleted_at is null;
+  elsif old.deleted_at is not null and new.deleted_at is null then
+    update public.reminders
+    set deleted_at = null
+    where record_id = new.id and deleted_at = old.deleted_at;
+  end if;
+
+  return new;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+drop trigger if exists on_record_soft_delete on public.vaccination_records;
+create trigger on_record_soft_delete
+after update of deleted_at on public.vaccination_records
+for each row execute function public.cascade_record_soft_delete();
+
+-- =============================================
+-- 3️⃣ Policies: only admins see deleted rows
+-- =============================================
+drop policy if exists "VaccinationRecords: select" on public.vaccination_records;
+create policy "VaccinationRecords: select" on public.vaccination_records
+for select using (
+  (deleted_at is null and public.can_access_person(user_id)) OR public.is_admin()
+);
+
+drop policy if exists "Reminders: select" on public.reminders;
+create policy "Reminders: select" on public.reminders
+for select using (
+  (deleted_at is null and public.can_access_person(user_id)) OR public.is_admin()
+);
@@ -0,0 +1,33 @@
+-- =============================================
+-- 1️⃣ Calendar Feeds Table
+-- =============================================
+-- One private subscription token per account. The calendar-feed Edge
+-- Function serves the reminders of the account holder and their dependents
+-- to whoever presents the token, so calendar apps can poll without a login.
+-- Resetting the link replaces the token.
+create extension if not exists pgcrypto with schema extensions;
+
+create table if not exists public.calendar_feeds (
+  user_id uuid primary key references public.profiles(id) on delete cascade,
+  token text unique not null default encode(extensions.gen_random_bytes(24), 'hex'),
+  created_at timestamp with time zone default now()
+);
+
+-- =============================================
+-- 2️⃣ Policies for Calendar Feeds
+-- =============================================
+-- Only the owner can see or change their token; the Edge Function reads it
+-- with the service role.
+alter table public.calendar_feeds enable row level security;
+
+drop policy if exists "CalendarFeeds: select" on public.calendar_feeds;
+create policy "CalendarFeeds: select" on public.calendar_feeds
+for select using ( user_id = auth.uid() );
+
+drop policy if exists "CalendarFeeds: insert" on public.calendar_feeds;
+create policy "CalendarFeeds: insert" on public.calendar_feeds
+for insert with check ( user_id = auth.uid() );
+
+drop policy if exists "CalendarFeeds: delete" on public.calendar_feeds;
+create policy "CalendarFeeds: delete" on public.calendar_feeds
+for delete using ( user_id = auth.uid() );
@@ -0,0 +1,40 @@
+-- =============================================
+-- 1️⃣ Reminders: when the notification went out
+-- =============================================
+alter table public.reminders
+  add column if not exists sent_at timestamp with time zone;
+
+-- The send-reminders job looks for unsent reminders by due date
+create index if not exists reminders_unsent_due_date_idx
+  on public.reminders (due_date)
+  where sent = false and deleted_at is null;
+
+-- =============================================
+-- 2️⃣ Reminder Deliveries Table
+-- =============================================
+-- One row per attempt to notify someone about a reminder, successful or
+-- not. Written only by the send-reminders Edge Function (service role).
+create table if not exists public.reminder_deliveries (
+  id bigint generated always as identity primary key,
+  reminder_id uuid not null references public.reminders(id) on delete cascade,
+  user_id uuid references public.profiles(id) on delete cascade, -- the patient
+  channel text not null default 'email' check (channel in ('email')),
+  recipient text,
+  status text not null check (status in ('sent', 'failed')),
+  error text,
+  attempted_at timestamp with time zone default now() not null
+);
+
+create index if not exists reminder_deliveries_reminder_id_idx
+  on public.reminder_deliveries (reminder_id, attempted_at desc);
+
+-- =============================================
+-- 3️⃣ Policies for Reminder Deliveries
+-- =============================================
+alter table public.reminder_deliveries enable row level security;
+
+drop policy if exists "ReminderDeliveries: select" on public.reminder_deliveries;
+create policy "ReminderDeliveries: select" on public.reminder_deliveries
+for select using ( public.can_access_person(user_id) OR public.is_admin() );
+
+revoke insert, update, delete, truncate on public.reminder_deliveries from anon, authenticated;
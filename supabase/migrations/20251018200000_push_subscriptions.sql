@@ -0,0 +1,53 @@
+-- =============================================
+-- 1️⃣ Push Subscriptions Table
+-- =============================================
+-- One row per browser that opted in to Web Push. The send-reminders job
+-- reads them with the service role and removes the ones the push service
+-- reports as gone.
+create table if not exists public.push_subscriptions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.profiles(id) on delete cascade,
+  endpoint text unique not null,
+  p256dh text not null,
+  auth text not null,
+  user_agent text,
+  created_at timestamp with time zone default now()
+);
+
+create index if not exists push_subscriptions_user_id_idx
+  on public.push_subscriptions (user_id);
+
+-- =============================================
+-- 2️⃣ Policies for Push Subscriptions
+-- =============================================
+alter table public.push_subscriptions enable row level security;
+
+drop policy if exists "PushSubscriptions: select" on public.push_subscriptions;
+create policy "PushSubscriptions: select" on public.push_subscriptions
+for select using ( user_id = auth.uid() );
+
+drop policy if exists "PushSubscriptions: insert" on public.push_subscriptions;
+create policy "PushSubscriptions: insert" on public.push_subscriptions
+for insert with check ( user_id = auth.uid() );
+
+drop policy if exists "PushSubscriptions: update" on public.push_subscriptions;
+create policy "PushSubscriptions: update" on public.push_subscriptions
+for update using ( user_id = auth.uid() )
+with check ( user_id = auth.uid() );
+
+drop policy if exists "PushSubscriptions: delete" on public.push_subscriptions;
+create policy "PushSubscriptions: delete" on public.push_subscriptions
+for delete using ( user_id = auth.uid() );
+
+-- =============================================
+-- 3️⃣ Reminder Deliveries: push channel and stages
+-- =============================================
+-- Pushes go out once when a reminder falls due and once when it becomes
+-- overdue; stage tells the two apart. Email deliveries have no stage.
+alter table public.reminder_deliveries
+  drop constraint if exists reminder_deliveries_channel_check;
+alter table public.reminder_deliveries
+  add constraint reminder_deliveries_channel_check check (channel in ('email', 'push'));
+
+alter table public.reminder_deliveries
+  add column if not exists stage text check (stage in ('due', 'overdue'));
@@ -0,0 +1,89 @@
+-- =============================================
+-- 1️⃣ Reminder lead times per account
+-- =============================================
+-- Days before the due date to send a reminder, and days after it to follow
+-- up on an overdue one, each at most a year. A reminder is always sent on
+-- the due date itself.
+-- Dependents follow their account holder's settings.
+alter table public.profiles
+  add column if not exists reminder_lead_days int[] not null default '{30, 7, 1}',
+  add column if not exists reminder_overdue_days int[] not null default '{7, 30}';
+
+alter table public.profiles
+  drop constraint if exists profiles_reminder_days_range;
+alter table public.profiles
+  add constraint profiles_reminder_days_range check (
+    0 < all (reminder_lead_days) and 365 >= all (reminder_lead_days)
+    and 0 < all (reminder_overdue_days) and 365 >= all (reminder_overdue_days)
+  );
+
+-- =============================================
+-- 2️⃣ Snooze and dismiss
+-- =============================================
+-- A snoozed reminder sends nothing until snoozed_until, then sends once
+-- more. A dismissed reminder is hidden and sends nothing.
+alter table public.reminders
+  add column if not exists snoozed_until date,
+  add column if not exists dismissed_at timestamp with time zone;
+
+-- =============================================
+-- 3️⃣ Reminder Deliveries: named stages
+-- =============================================
+-- before-<days>, due, overdue-<days> or snoozed. Earlier rows are mapped
+-- onto the default stages: emails went out within a week of the due date,
+-- and the single overdue push came the day after it.
+alter table public.reminder_deliveries
+  drop constraint if exists reminder_deliveries_stage_check;
+
+update public.reminder_deliveries set stage = 'overdue-1' where stage = 'overdue';
+update public.reminder_deliveries set stage = 'before-7' where stage is null;
+
+alter table public.reminder_deliveries
+  alter column stage set not null,
+  add constraint reminder_deliveries_stage_check check (
+    stage ~ '^(before-[0-9]+|due|overdue-[0-9]+|snoozed)$'
+  );
+
+-- =============================================
+-- 4️⃣ Functions: snooze and dismiss
+-- =============================================
+-- Only admins may update reminders directly, so patients and account
+-- holders change these two fields through functions that check access.
+create or replace function public.snooze_reminder(reminder_id uuid, until date)
+returns void as $$
+begin
+  -- The app sends a day from the user's own calendar, and their tomorrow
+  -- can still be today in UTC, so only dates already past are refused
+  if until is not null and until < current_date then
+    raise exception 'Snooze until a date that has not passed';
+  end if;
+
+  update public.reminders r
+  set snoozed_until = until
+  where r.id = reminder_id
+    and (public.can_access_person(r.user_id) or public.is_admin());
+
+  if not found then
+    raise exception 'Reminder not found';
+  end if;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+create or replace function public.dismiss_reminder(reminder_id uuid, dismissed boolean default true)
+returns void as $$
+begin
+  update public.reminders r
+  set dismissed_at = case when dismissed then now() end
+  where r.id = reminder_id
+    and (public.can_access_person(r.user_id) or public.is_admin());
+
+  if not found then
+    raise exception 'Reminder not found';
+  end if;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+revoke execute on function public.snooze_reminder(uuid, date) from public, anon;
+revoke execute on function public.dismiss_reminder(uuid, boolean) from public, anon;
+grant execute on function public.snooze_reminder(uuid, date) to authenticated;
+grant execute on function public.dismiss_reminder(uuid, boolean) to authenticated;
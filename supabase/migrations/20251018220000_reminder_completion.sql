@@ -0,0 +1,21 @@
+-- =============================================
+-- 1️⃣ Reminders: completed by a recorded dose
+-- =============================================
+-- Recording the dose a reminder was for closes the reminder instead of
+-- deleting it, and links the record that fulfilled it. Completed reminders
+-- are hidden and send nothing; the new record gets its own reminder.
+alter table public.reminders
+  add column if not exists completed_at timestamp with time zone,
+  add column if not exists completed_record_id uuid
+    references public.vaccination_records(id) on delete set null;
+
+-- =============================================
+-- 2️⃣ Index: reminders still waiting on a dose
+-- =============================================
+-- The send-reminders job no longer looks at sent, so index what it and
+-- the reminder lists do filter on
+drop index if exists public.reminders_unsent_due_date_idx;
+
+create index if not exists reminders_active_due_date_idx
+  on public.reminders (due_date)
+  where deleted_at is null and dismissed_at is null and completed_at is null;
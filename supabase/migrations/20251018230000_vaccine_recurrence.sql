@@ -0,0 +1,30 @@
+-- =============================================
+-- 1️⃣ Seasonal recurrence on the vaccine catalog
+-- =============================================
+-- Once the primary series is done a vaccine repeats either on a fixed
+-- booster interval (e.g. every 120 months for Tdap) or every year when its
+-- season opens, given as 'MM-DD' (e.g. '09-01' for flu season). Recording
+-- a dose schedules the next reminder from whichever rule applies.
+alter table public.vaccines
+  add column if not exists season_start text;
+
+alter table public.vaccines
+  drop constraint if exists vaccines_season_start_format;
+alter table public.vaccines
+  add constraint vaccines_season_start_format check (
+    season_start is null
+    or season_start ~ '^(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$'
+  );
+
+alter table public.vaccines
+  drop constraint if exists vaccines_single_recurrence;
+alter table public.vaccines
+  add constraint vaccines_single_recurrence check (
+    season_start is null or booster_interval_months is null
+  );
+
+-- Flu shots follow the Northern Hemisphere season rather than the date of
+-- the last dose
+update public.vaccines
+  set season_start = '09-01', booster_interval_months = null
+  where name = 'Influenza' and booster_interval_months = 12;
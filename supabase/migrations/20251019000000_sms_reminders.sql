@@ -0,0 +1,63 @@
+-- =============================================
+-- 1️⃣ Phone numbers and channel preferences
+-- =============================================
+-- Phone numbers are stored in E.164 form (+15551234567). reminder_channels
+-- lists how the account holder wants reminders for themselves and their
+-- dependents. Opt-outs are kept per number in sms_opt_outs (below).
+alter table public.profiles
+  add column if not exists phone text,
+  add column if not exists reminder_channels text[] not null default '{email, push}';
+
+alter table public.profiles
+  drop constraint if exists profiles_phone_format;
+alter table public.profiles
+  add constraint profiles_phone_format check (
+    phone is null or phone ~ '^\+[1-9][0-9]{6,14}$'
+  );
+
+alter table public.profiles
+  drop constraint if exists profiles_reminder_channels_known;
+alter table public.profiles
+  add constraint profiles_reminder_channels_known check (
+    reminder_channels <@ array['email', 'push', 'sms']
+  );
+
+-- Replies are matched to profiles by the number they came from
+create index if not exists profiles_phone_idx
+  on public.profiles (phone)
+  where phone is not null;
+
+-- =============================================
+-- 2️⃣ SMS Opt-Outs Table
+-- =============================================
+-- Carriers attach a STOP to the phone number, not to an account: once a
+-- number opts out, no profile that lists it gets texts until the number
+-- itself replies START. Only the sms-webhook function (service role)
+-- writes here.
+create table if not exists public.sms_opt_outs (
+  phone text primary key check (phone ~ '^\+[1-9][0-9]{6,14}$'),
+  opted_out_at timestamp with time zone not null default now()
+);
+
+-- =============================================
+-- 3️⃣ Policies for SMS Opt-Outs
+-- =============================================
+-- People can see whether a number on a profile they manage has opted out
+alter table public.sms_opt_outs enable row level security;
+
+drop policy if exists "SmsOptOuts: select" on public.sms_opt_outs;
+create policy "SmsOptOuts: select" on public.sms_opt_outs
+for select using (
+  exists (
+    select 1 from public.profiles p
+    where p.phone = sms_opt_outs.phone and public.can_access_person(p.id)
+  )
+);
+
+-- =============================================
+-- 4️⃣ Reminder Deliveries: SMS channel
+-- =============================================
+alter table public.reminder_deliveries
+  drop constraint if exists reminder_deliveries_channel_check;
+alter table public.reminder_deliveries
+  add constraint reminder_deliveries_channel_check check (channel in ('email', 'push', 'sms'));
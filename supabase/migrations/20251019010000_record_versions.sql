@@ -0,0 +1,24 @@
+-- =============================================
+-- 1️⃣ Records: last-changed timestamp
+-- =============================================
+-- Edits and deletes made offline are replayed later, and only apply if
+-- the record's updated_at still matches the copy they were made against;
+-- otherwise the app asks which version to keep.
+alter table public.vaccination_records
+  add column if not exists updated_at timestamp with time zone not null default now();
+
+-- =============================================
+-- 2️⃣ Trigger: stamp every change
+-- =============================================
+create or replace function public.set_updated_at()
+returns trigger as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$ language plpgsql set search_path = public;
+
+drop trigger if exists set_vaccination_records_updated_at on public.vaccination_records;
+create trigger set_vaccination_records_updated_at
+before update on public.vaccination_records
+for each row execute function public.set_updated_at();